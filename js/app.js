@@ -1,12 +1,63 @@
-// Main application controller - Manual generation
+// Main application controller - Generate once, then rebuild changed stages automatically
+
+// Progress labels for the generation worker's stages
+const STAGE_LABELS = {
+  points: 'Placing points',
+  triangulation: 'Triangulating',
+  relief: 'Solving relief',
+  mesh: 'Building 3D mesh',
+  weld: 'Welding solid'
+};
+
+// Wait for a slider to settle before rebuilding
+const REBUILD_DELAY_MS = 250;
+
+// Facet estimates are cheap but still wait for the slider
+const ESTIMATE_DELAY_MS = 100;
+
+// The 2D preview's facets come from the worker like a build's, but it still
+// stops drawing live facets above this many (showing the last build instead)
+const IMAGE_PREVIEW_DELAY_MS = 100;
+const IMAGE_PREVIEW_MAX_FACETS = 20000;
+
+// Settings that change which pixels the analyzer sees
+const FRAMING_KEYS = ['perspectiveCorners', 'straightenAngle', 'cropRect'];
+
+// Reframing resamples the full image, so it waits for the slider too
+const REFRAME_DELAY_MS = 250;
+
+const IMAGE_PREVIEW_INFO = {
+  frame: 'Framing is applied to the image before analysis',
+  brightness: 'Brightness after levels, equalization, gamma, contrast and invert, with the outline (cut-out or shape) in green',
+  edges: 'Sobel edge strength that drives Edge Detail and edge locking',
+  contrast: 'Local contrast, which adds points in busy areas',
+  mask: 'Drag to paint with the selected brush'
+};
 
 class App {
   constructor() {
     this.viewer = null;
     this.analyzer = null;
+    this.secondAnalyzer = null;
+    this.depthAnalyzer = null;
+    this.depthImage = null;
     this.geometry = null;
     this.meshData = null;
     this.isGenerating = false;
+    this.isPreviewing = false;
+    this.worker = null;
+    this.cancelGeneration = null;
+    this.pipeline = new PipelineCache();
+    this.imageVersion = 0;
+    this.rebuildTimer = null;
+    this.rebuildPending = false;
+    this.sourceImage = null;
+    this.framingKey = null;
+    this.reframeTimer = null;
+    this.reframePending = false;
+    this.estimateTimer = null;
+    this.imagePreview = null;
+    this.imagePreviewTimer = null;
   }
   
   init() {
@@ -19,12 +70,32 @@ class App {
     // Initialize Three.js viewer
     const viewerContainer = document.getElementById('viewer');
     this.viewer = new ThreeViewer(viewerContainer);
+    this.imagePreview = new ImagePreview(document.getElementById('image-preview-canvas'));
     
     // Set up callbacks
     ui.onImageLoad = (img) => this.handleImageLoad(img);
-    ui.onGenerate = () => this.generate();  // Manual generate
+    ui.onSecondImageLoad = (img) => this.handleSecondImageLoad(img);
+    ui.onDepthImageLoad = (img) => this.handleDepthImageLoad(img);
+    ui.onGenerate = () => this.generate();
+    ui.onCancel = () => this.cancel();
     ui.onExport = (format) => this.handleExport(format);
     ui.onPreviewUpdate = (type, value) => this.handlePreviewUpdate(type, value);
+    ui.onAutoLevels = () => this.autoLevels();
+    ui.onImagePreview = () => this.updateImagePreview();
+    this.imagePreview.onFramingChange = (updates) => config.setMultiple(updates);
+    this.imagePreview.onMaskChange = (mask) => config.set('detailMask', mask);
+    
+    // Once something has been generated, edits rebuild the stages they affect
+    config.onChange((changes) => {
+      this.scheduleImagePreview();
+      // A new framing reruns everything once the analyzer has been recut
+      if (changes.some(change => FRAMING_KEYS.includes(change.key))) {
+        this.scheduleReframe();
+        return;
+      }
+      this.scheduleEstimate();
+      this.scheduleRebuild();
+    });
     
     // Initial tile grid update
     ui.updateTileGrid();
@@ -35,71 +106,498 @@ class App {
   handleImageLoad(img) {
     console.log(`Image loaded: ${img.width}x${img.height}`);
     
-    // Create analyzer
-    this.analyzer = new ImageAnalyzer(img);
+    // A running build belongs to the old picture
+    this.cancel();
     
-    // Clear any previous geometry
+    // Clear any previous geometry first, so resetting the settings below
+    // doesn't schedule a rebuild for the new picture
+    clearTimeout(this.rebuildTimer);
+    this.rebuildPending = false;
     this.geometry = null;
     this.meshData = null;
+    this.pipeline.clear();
     ui.enableExport(false);
     
+    // A new picture starts unframed and unmasked
+    this.sourceImage = img;
+    this.imagePreview.setSourceImage(img);
+    config.setMultiple({ perspectiveCorners: null, straightenAngle: 0, cropRect: null, detailMask: null });
+    ui.setSliderValue('straightenAngle', 0, '°');
+    
+    // Create analyzer
+    this.analyzer = new ImageAnalyzer(img);
+    this.framingKey = JSON.stringify(null);
+    
+    // The old photo's depth map doesn't fit this one
+    if (this.depthImage) {
+      this.depthImage = null;
+      this.depthAnalyzer = null;
+      this.pipeline.setSource('depthImage', ++this.imageVersion);
+      ui.clearDepthFile();
+    }
+    
+    this.pipeline.setSource('image', ++this.imageVersion);
+    ui.matchAspectRatio(this.analyzer.getAspectRatio());
+    
     // Ready to generate
     ui.setGenerateEnabled(true);
+    this.updateFacetEstimate();
+    this.updateImagePreview();
     
     console.log('Image analyzed. Click Generate to create geometry.');
   }
   
-  generate() {
+  handleSecondImageLoad(img) {
+    console.log(`Second image loaded: ${img.width}x${img.height}`);
+    this.cancel();
+    this.secondAnalyzer = new ImageAnalyzer(img);
+    this.pipeline.setSource('secondImage', ++this.imageVersion);
+    this.scheduleRebuild();
+  }
+  
+  handleDepthImageLoad(img) {
+    console.log(`Depth map loaded: ${img.width}x${img.height}`);
+    this.cancel();
+    this.depthImage = img;
+    this.cutDepthMap(ImageAnalyzer.framingFromConfig(config.getAll()));
+    this.scheduleRebuild();
+  }
+  
+  // The depth map belongs to the photo, so it is framed the same way
+  cutDepthMap(framing) {
+    if (!this.depthImage) return;
+    this.depthAnalyzer = new ImageAnalyzer(this.depthImage, framing);
+    this.pipeline.setSource('depthImage', ++this.imageVersion);
+  }
+  
+  // Extra analyzer the stages sample: the second image for dual relief, the
+  // depth map for hybrid relief
+  secondaryAnalyzer(cfg) {
+    if (cfg.reliefMethod === 'dual') return this.secondAnalyzer;
+    if (cfg.reliefMethod === 'hybrid') return this.depthAnalyzer;
+    return null;
+  }
+  
+  // Rebuild after config edits, but only once the user has generated
+  scheduleRebuild() {
+    if (!this.analyzer || !this.meshData) return;
+    
+    clearTimeout(this.rebuildTimer);
+    this.rebuildTimer = setTimeout(() => {
+      if (this.isGenerating) {
+        this.rebuildPending = this.rebuildPending || true;
+      } else {
+        this.generate(false);
+      }
+    }, REBUILD_DELAY_MS);
+  }
+  
+  // Set the black and white points from the image histogram. Skipped while
+  // the worker holds the analyzer's buffers.
+  autoLevels() {
+    if (!this.analyzer || this.isGenerating) return;
+    
+    const cfg = config.getAll();
+    this.analyzer.updateGrayscale(cfg);
+    const levels = this.analyzer.histogramLevels(cfg);
+    config.setMultiple(levels);
+    ui.setSliderValue('blackPoint', levels.blackPoint);
+    ui.setSliderValue('whitePoint', levels.whitePoint);
+  }
+  
+  scheduleReframe() {
+    clearTimeout(this.reframeTimer);
+    this.reframeTimer = setTimeout(() => this.reframe(), REFRAME_DELAY_MS);
+  }
+  
+  // Recut the analyzer from the loaded image for the current framing. A
+  // running build belongs to the old framing, so this waits for it to finish.
+  reframe() {
+    if (!this.sourceImage) return;
+    if (this.isGenerating) {
+      this.reframePending = true;
+      return;
+    }
+    
+    const cfg = config.getAll();
+    const framing = ImageAnalyzer.framingFromConfig(cfg);
+    if (JSON.stringify(framing) === this.framingKey) return;
+    
+    const oldFraming = JSON.parse(this.framingKey);
+    this.analyzer = new ImageAnalyzer(this.sourceImage, framing);
+    this.framingKey = JSON.stringify(framing);
+    this.cutDepthMap(framing);
+    
+    // The painted mask lies over the framed image, so it moves with the
+    // framing to stay on the same part of the photo
+    const mask = DetailMask.fromConfig(cfg);
+    if (mask) {
+      const { width, height } = this.sourceImage;
+      const remapped = DetailMask.remap(mask, this.analyzer.getAspectRatio(),
+        ImageAnalyzer.framingMap(width, height, framing),
+        ImageAnalyzer.framingInverse(width, height, oldFraming));
+      config.set('detailMask', DetailMask.isEmpty(remapped) ? null : DetailMask.encode(remapped));
+    }
+    this.pipeline.setSource('image', ++this.imageVersion);
+    console.log(`Image framed to ${this.analyzer.width}x${this.analyzer.height}`);
+    
+    ui.matchAspectRatio(this.analyzer.getAspectRatio());
+    this.scheduleEstimate();
+    this.scheduleImagePreview();
+    this.scheduleRebuild();
+  }
+  
+  scheduleEstimate() {
+    clearTimeout(this.estimateTimer);
+    this.estimateTimer = setTimeout(() => this.updateFacetEstimate(), ESTIMATE_DELAY_MS);
+  }
+  
+  // Predict the facet count for the current settings without generating.
+  // Skipped while the worker holds the analyzer's buffers; the finished run
+  // refreshes it.
+  updateFacetEstimate() {
+    if (!this.analyzer || this.isGenerating) return;
+    
+    const cfg = config.getAll();
+    this.prepareBrightness(cfg, this.pipeline.firstInvalid(cfg) === 0);
+    
+    if (cfg.facetBudget > 0) {
+      ui.updateFacetEstimate({
+        budget: cfg.facetBudget,
+        density: PointGenerator.estimateDensityForBudget(this.analyzer, cfg)
+      });
+    } else {
+      ui.updateFacetEstimate({ facets: PointGenerator.estimateFacetCount(this.analyzer, cfg) });
+    }
+  }
+  
+  scheduleImagePreview() {
+    clearTimeout(this.imagePreviewTimer);
+    this.imagePreviewTimer = setTimeout(() => this.updateImagePreview(), IMAGE_PREVIEW_DELAY_MS);
+  }
+  
+  // Redraw the open tab of the 2D preview. Like the estimate it waits while
+  // the worker holds the analyzer's buffers; the frame tab only reads its
+  // own copy of the image.
+  updateImagePreview() {
+    const tab = ui.imagePreviewTab;
+    if (!this.analyzer || !ui.isPanelOpen('image-preview')) return;
+    if (this.isGenerating && tab !== 'frame') return;
+    
+    const cfg = config.getAll();
+    this.imagePreview.frameMode = ui.frameMode;
+    this.imagePreview.brush = ui.maskBrush;
+    if (tab !== 'frame') this.analyzer.updateGrayscale(cfg);
+    if (tab !== 'mesh') {
+      if (tab === 'brightness' && cfg.silhouetteMode !== 'off') this.analyzer.computeSilhouette(cfg);
+      this.imagePreview.render(tab, this.analyzer, cfg);
+      ui.setImagePreviewInfo(IMAGE_PREVIEW_INFO[tab]);
+      return;
+    }
+    
+    this.previewGeometry(cfg);
+  }
+  
+  // Points and facets for the current settings. Stale stages run in the
+  // worker like a build and are stored in the pipeline, so the next build
+  // only adds the mesh; the preview is drawn once they are back.
+  previewGeometry(cfg) {
+    const names = this.pipeline.stages.map(stage => stage.name);
+    const meshIndex = this.pipeline.stageIndex('mesh');
+    const first = this.pipeline.firstInvalid(cfg);
+    
+    if (first >= meshIndex) {
+      this.renderGeometryPreview(cfg, this.pipeline.get('triangulation'), true);
+      return;
+    }
+    
+    const facets = cfg.facetBudget > 0 ? cfg.facetBudget : PointGenerator.estimateFacetCount(this.analyzer, cfg);
+    if (facets > IMAGE_PREVIEW_MAX_FACETS) {
+      this.renderGeometryPreview(cfg, this.geometry, false);
+      return;
+    }
+    
+    this.prepareBrightness(cfg, first === 0);
+    if (cfg.regionCount > 0) this.analyzer.computeSuperpixels(cfg.regionCount);
+    
+    const stages = names.slice(Math.max(first, 1), meshIndex);
+    const imageVersion = this.imageVersion;
+    this.isGenerating = true;
+    this.isPreviewing = true;
+    
+    this.runStages(stages, cfg)
+      .then((outputs) => {
+        // A new image may have come in meanwhile
+        if (this.imageVersion !== imageVersion) return true;
+        for (const name of stages) {
+          this.pipeline.store(name, cfg, outputs[name]);
+        }
+        return true;
+      })
+      .catch((error) => {
+        // Cancelled for a new image, which gets its own preview
+        if (error.cancelled) return true;
+        console.error('Preview triangulation failed:', error);
+        return false;
+      })
+      .then((ok) => {
+        this.isGenerating = false;
+        this.isPreviewing = false;
+        if (this.runPending()) return;
+        
+        this.updateFacetEstimate();
+        if (ok) {
+          this.updateImagePreview();
+        } else if (ui.isPanelOpen('image-preview') && ui.imagePreviewTab === 'mesh') {
+          this.imagePreview.render('mesh', this.analyzer, cfg, null);
+          ui.setImagePreviewInfo('Preview failed; Generate to see the error');
+        }
+      });
+  }
+  
+  renderGeometryPreview(cfg, geometry, live) {
+    this.imagePreview.render('mesh', this.analyzer, cfg, geometry);
+    
+    if (!geometry) {
+      ui.setImagePreviewInfo('Too many facets to preview live; Generate to see them');
+    } else {
+      const counts = `${geometry.facets.length.toLocaleString()} facets from ${geometry.points.length.toLocaleString()} points`;
+      ui.setImagePreviewInfo(live ? counts : `Last build (too many facets to preview live): ${counts}`);
+    }
+  }
+  
+  // Run every stage invalidated since the last build. Automatic rebuilds only
+  // log failures so a half-set slider doesn't raise an alert on every move.
+  generate(manual = true) {
+    // A live preview holds the analyzer for a moment; build once it's back,
+    // remembering whether the user asked for it
+    if (this.isPreviewing) {
+      this.rebuildPending = manual ? 'manual' : (this.rebuildPending || true);
+      return;
+    }
     if (!this.analyzer || this.isGenerating) {
       console.warn('Cannot generate: no image or already generating');
       return;
     }
     
+    const cfg = config.getAll();
+    const names = this.pipeline.stages.map(stage => stage.name);
+    const first = this.pipeline.firstInvalid(cfg);
+    if (first >= names.length) {
+      console.log('Geometry is up to date');
+      return;
+    }
+    
     this.isGenerating = true;
     ui.showProgress(true, 'Generating geometry...');
-    ui.setGenerateEnabled(false);
+    ui.setGenerating(true);
     
-    // Use setTimeout to allow UI to update
-    setTimeout(() => {
-      try {
-        const cfg = config.getAll();
-        const startTime = performance.now();
-        
-        console.log('Starting generation with config:', cfg);
-        
-        // Generate 2D triangulation
-        ui.showProgress(true, 'Creating point distribution...');
-        this.geometry = GeometryGenerator.generate(this.analyzer, cfg);
+    const startTime = performance.now();
+    const stages = names.slice(Math.max(first, 1));
+    
+    console.log(`Rebuilding ${names.slice(first).join(', ')} with config:`, cfg);
+    
+    this.prepareBrightness(cfg, first === 0);
+    if (cfg.regionCount > 0) this.analyzer.computeSuperpixels(cfg.regionCount);
+    
+    const imageVersion = this.imageVersion;
+    const onProgress = (stage, percent) => ui.showProgress(true, `${STAGE_LABELS[stage] || stage}... ${percent}%`);
+    this.runStages(stages, cfg, onProgress)
+      .then((outputs) => {
+        // A new image came in meanwhile (the main-thread fallback can't be
+        // cancelled)
+        if (this.imageVersion !== imageVersion) {
+          console.log('Generation discarded: the images changed');
+          return;
+        }
         
-        // Build 3D mesh
-        ui.showProgress(true, 'Building 3D mesh...');
-        this.meshData = MeshBuilder.build(this.geometry, cfg);
+        for (const name of stages) {
+          this.pipeline.store(name, cfg, outputs[name]);
+        }
+        this.geometry = this.pipeline.get('triangulation');
+        this.meshData = this.pipeline.get('mesh');
         
         const totalTime = performance.now() - startTime;
         
         // Update viewer
         ui.showProgress(true, 'Updating preview...');
-        this.viewer.updateMesh(this.meshData, cfg);
+        this.viewer.updateMesh(this.meshData, cfg, !manual);
+        this.updatePreviewLight();
         
         // Update stats
         ui.updateStats({
           triangles: this.meshData?.triangleCount || 0,
+          aspectRatio: this.geometry?.stats.meanAspectRatio,
+          insertedPoints: this.geometry?.stats.insertedPoints,
+          refinementConverged: this.geometry?.stats.refinementConverged,
           generationTime: totalTime
         });
         
         ui.enableExport(true);
         
         console.log(`Generation complete in ${totalTime.toFixed(0)}ms`);
-        
-      } catch (error) {
+      })
+      .catch((error) => {
+        if (error.cancelled) {
+          console.log('Generation cancelled');
+          this.rebuildPending = false;
+          return;
+        }
         console.error('Generation failed:', error);
-        alert('Failed to generate geometry: ' + error.message);
-      } finally {
+        if (manual) alert('Failed to generate geometry: ' + error.message);
+      })
+      .finally(() => {
         this.isGenerating = false;
         ui.showProgress(false);
-        ui.setGenerateEnabled(true);
+        ui.setGenerating(false);
+        
+        if (!this.runPending()) {
+          this.updateFacetEstimate();
+          this.updateImagePreview();
+        }
+      });
+  }
+  
+  // Start the reframe or rebuild held back while the worker was busy. A
+  // held-back Generate click still builds as a manual one. Returns false if
+  // there was none.
+  runPending() {
+    const manual = this.rebuildPending === 'manual';
+    if (this.reframePending) {
+      this.reframePending = false;
+      this.rebuildPending = false;
+      this.reframe();
+      if (manual) {
+        clearTimeout(this.rebuildTimer);
+        this.generate(true);
       }
-    }, 50);
+    } else if (this.rebuildPending) {
+      this.rebuildPending = false;
+      this.generate(manual);
+    } else {
+      return false;
+    }
+    return true;
+  }
+  
+  // The brightness stage is a cheap per-pixel pass, so it runs here and the
+  // maps travel to the worker with the analyzer buffers (as do the colour
+  // grayscale, superpixels and the cut-out silhouette, which need the RGB
+  // data only this thread has)
+  prepareBrightness(cfg, rebuild) {
+    const analyzers = [this.analyzer];
+    if (cfg.reliefMethod === 'dual' && this.secondAnalyzer) analyzers.push(this.secondAnalyzer);
+    
+    for (const analyzer of analyzers) {
+      analyzer.updateGrayscale(cfg);
+      if (rebuild || !analyzer.brightnessMap) analyzer.computeBrightnessMap(cfg);
+    }
+    this.pipeline.store('brightness', cfg, true);
+    
+    // Cached per setting, so this only traces when they change
+    if (cfg.silhouetteMode !== 'off') this.analyzer.computeSilhouette(cfg);
+  }
+  
+  // Run pipeline stages in a worker, or on the main thread where workers
+  // can't be created (e.g. the page was opened from file://).
+  // onProgress(stage, percent) follows the worker's stages.
+  runStages(stages, cfg, onProgress = null) {
+    const analyzer = this.analyzer;
+    const secondAnalyzer = this.secondaryAnalyzer(cfg);
+    const inputs = {
+      points: this.pipeline.get('points'),
+      triangulation: this.pipeline.get('triangulation')
+    };
+    
+    let worker;
+    try {
+      worker = new Worker('js/generationWorker.js');
+    } catch (error) {
+      console.warn('Generation worker unavailable, running on the main thread:', error.message);
+      return this.runOnMainThread(stages, inputs, cfg, analyzer, secondAnalyzer);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        worker.terminate();
+        this.worker = null;
+        this.cancelGeneration = null;
+      };
+      
+      // Buffers are gone if the worker dies before handing them back, and
+      // the brightness maps with them
+      const restore = () => {
+        analyzer.restoreBuffers();
+        if (secondAnalyzer) secondAnalyzer.restoreBuffers();
+        this.pipeline.invalidate('brightness');
+      };
+      
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        
+        if (msg.type === 'progress') {
+          if (onProgress) onProgress(msg.stage, msg.percent);
+          return;
+        }
+        
+        analyzer.adoptBuffers(msg.analyzer);
+        if (secondAnalyzer && msg.secondAnalyzer) secondAnalyzer.adoptBuffers(msg.secondAnalyzer);
+        finish();
+        
+        if (msg.type === 'result') {
+          resolve(msg.outputs);
+        } else {
+          reject(new Error(msg.message));
+        }
+      };
+      
+      worker.onerror = (e) => {
+        e.preventDefault();
+        finish();
+        restore();
+        reject(new Error(e.message || 'Generation worker failed'));
+      };
+      
+      this.worker = worker;
+      this.cancelGeneration = () => {
+        finish();
+        restore();
+        const error = new Error('Generation cancelled');
+        error.cancelled = true;
+        reject(error);
+      };
+      
+      const analyzerBuffers = analyzer.toBuffers();
+      const secondBuffers = secondAnalyzer ? secondAnalyzer.toBuffers() : null;
+      const transfer = ImageAnalyzer.transferList(analyzerBuffers);
+      if (secondBuffers) transfer.push(...ImageAnalyzer.transferList(secondBuffers));
+      
+      worker.postMessage({
+        type: 'run',
+        stages,
+        inputs,
+        cfg,
+        analyzer: analyzerBuffers,
+        secondAnalyzer: secondBuffers
+      }, transfer);
+    });
+  }
+  
+  runOnMainThread(stages, inputs, cfg, analyzer, secondAnalyzer) {
+    return new Promise((resolve, reject) => {
+      // Use setTimeout to allow UI to update
+      setTimeout(() => {
+        try {
+          resolve(PipelineCache.runStages(stages, inputs, analyzer, cfg, secondAnalyzer));
+        } catch (error) {
+          reject(error);
+        }
+      }, 50);
+    });
+  }
+  
+  cancel() {
+    if (this.cancelGeneration) this.cancelGeneration();
   }
   
   handlePreviewUpdate(type, value) {
@@ -107,9 +605,13 @@ class App {
     
     switch (type) {
       case 'lighting':
-        this.viewer.updateLightPosition(config.get('lightAzimuth'), config.get('lightElevation'));
+        this.updatePreviewLight();
         ui.updateLightInfo();
         break;
+      case 'toggleLight':
+        ui.setPreviewLight(ui.previewLight === 'A' ? 'B' : 'A');
+        this.updatePreviewLight();
+        break;
       case 'wireframe':
         this.viewer.setWireframe(value);
         break;
@@ -134,6 +636,15 @@ class App {
     }
   }
   
+  // Light the preview from the main light or, when toggled, Light B
+  updatePreviewLight() {
+    if (ui.previewLight === 'B') {
+      this.viewer.updateLightPosition(config.get('secondLightAzimuth'), config.get('secondLightElevation'));
+    } else {
+      this.viewer.updateLightPosition(config.get('lightAzimuth'), config.get('lightElevation'));
+    }
+  }
+  
   handleExport(format) {
     if (!this.meshData) {
       alert('No geometry to export. Please generate first.');
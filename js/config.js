@@ -1,35 +1,82 @@
 // Default configuration with all adjustable parameters
 const DEFAULT_CONFIG = {
   // === IMAGE SETTINGS ===
+  grayscaleMode: 'luminance', // 'luminance', 'lightness' (CIE L*), 'mixer' (channel weights), 'saturation' or 'hue' (a hue band)
+  mixerRed: 0.299,         // 0-1: Channel mixer weights, normalized to sum to 1
+  mixerGreen: 0.587,
+  mixerBlue: 0.114,
+  hueCenter: 0,            // 0-360 degrees: Hue the 'hue' mode raises
+  hueWidth: 30,            // 5-180 degrees: How far either side of hueCenter still counts
   contrast: 2.0,           // 0.5 - 4.0: Higher = more dramatic light/dark separation
   brightness: 0,           // -1 to 1: Shift overall brightness
   invertBrightness: false, // Swap light/dark
   gamma: 1.5,              // 0.5 - 3.0: Gamma curve adjustment
+  blackPoint: 0,           // 0-1: Input level mapped to black (set by Auto Levels)
+  whitePoint: 1,           // 0-1: Input level mapped to white
+  equalize: false,         // Adaptive histogram equalization (CLAHE) before the tone curve
+  claheTileSize: 12,       // 5-50: Equalization tile size, % of the image's long side
+  claheClipLimit: 2.0,     // 1-8: Contrast limit per tile (higher = stronger local contrast)
+  
+  // === FRAMING (applied to the image before analysis) ===
+  perspectiveCorners: null, // [TL, TR, BR, BL] { x, y } (0-1) of artwork to square up, or null
+  straightenAngle: 0,      // -45 to 45 degrees: Rotate clockwise to level the image
+  cropRect: null,          // { x, y, width, height } (0-1) of the straightened image, or null for all of it
+  
+  // === CUT-OUT (relief in the shape of the image's subject) ===
+  silhouetteMode: 'off',   // 'off', 'alpha' (transparent areas), 'brightness' (light backdrop) or 'flood' (background colour)
+  silhouetteThreshold: 0.5, // 0.05-0.95: Opacity ('alpha') or brightness ('brightness') separating subject from background
+  silhouetteColor: '#ffffff', // Background colour 'flood' removes from the image border inward
+  silhouetteTolerance: 0.15, // 0-0.5: How far a colour may be from silhouetteColor and still count as background
   
   // === GEOMETRY SETTINGS ===
+  pointStrategy: 'grid',   // 'grid', 'poisson' (blue noise), 'anisotropic', or lattice 'hex', 'square', 'rotated'
+  anisotropy: 0.7,         // 0-1: How far 'anisotropic' sampling stretches facets along contours
+  latticeDiagonal: 'alternating', // 'alternating' or 'brightness': how square lattice cells are split
+  latticeAngle: 30,        // 0-90 degrees: Rotation of the 'rotated' lattice
+  facetShape: 'triangles', // 'triangles' or 'voronoi' (polygon cell around each point)
   cellDensity: 50,         // 10-100: Number of cells across width
+  facetBudget: 0,          // 0-50000: Target facet count; picks the density itself (0 = use cellDensity)
   edgeSensitivity: 2.0,    // 0-5: How much edges increase local detail
   jitter: 0.4,             // 0-1: Randomness in point placement
+  seed: 1,                 // 0-4294967295: Random seed (same seed + settings = same mesh)
+  relaxIterations: 0,      // 0-20: Weighted Lloyd relaxation passes (0 = off)
+  relaxWeighting: 0.8,     // 0-1: How much relaxation keeps dark/edge areas dense (0 = uniform)
   adaptiveSizing: true,    // Vary cell size based on brightness
   minCellScale: 0.3,       // Minimum cell size multiplier (for dark areas)
   maxCellScale: 2.0,       // Maximum cell size multiplier (for bright areas)
+  minAngle: 0,             // 0-30 degrees: Refine until no facet angle is smaller (0 = off)
+  minEdgeMM: 0.8,          // 0.2-5 mm: Shortest edge refinement may create
+  constrainEdges: false,   // Lock facet edges onto traced image contours
+  contourThreshold: 0.3,   // 0.1-0.8: Edge strength needed to trace a contour
+  
+  // === DETAIL MASK (painted on the image preview) ===
+  detailMask: null,        // Run-length encoded more/less detail and flat areas (see DetailMask), or null
+  maskStrength: 2,         // 1-4: Spacing factor for painted more/less detail
+  maskTiltAngle: 0,        // -45 to 45 degrees: Fixed tilt of painted flat areas (positive leans like a bright facet)
+  maskBrushSize: 5,        // 1-25: Brush radius, % of the image's long side
   
   // === RELIEF SETTINGS ===
-  reliefMethod: 'angled',  // 'angled', 'heightmap', or 'hybrid'
+  reliefMethod: 'angled',  // 'angled', 'heightmap', 'hybrid', 'inverse', 'dual', or 'continuous'
   maxTiltAngle: 35,        // 5-60 degrees: Max surface tilt (INCREASED)
   baseThickness: 3,        // mm: Solid base thickness
   maxReliefHeight: 12,     // mm: Additional height for depth effect (INCREASED)
-  heightVariation: 0.4,    // 0-1: How much height varies with brightness
+  heightVariation: 0.4,    // 0-1: How much height varies with brightness (or the depth map)
+  invertDepth: false,      // Depth map has black = near (default: white = near)
   facetSharpness: 0.8,     // 0-1: How sharp the facet edges are
+  regionCount: 0,          // 0-1000: Superpixel regions whose facets share one plane (0 = off)
   
   // === LIGHTING (for angle calculation) ===
   lightAzimuth: 45,        // 0-360: Horizontal angle (0=front, 90=right)
   lightElevation: 50,      // 0-90: Vertical angle (lower = more dramatic)
+  secondLightAzimuth: 315, // 0-360: Light for the second image (dual mode)
+  secondLightElevation: 50, // 0-90: Second light's vertical angle
   
   // === OUTPUT DIMENSIONS ===
   outputWidthMM: 200,      // Total width in mm
   outputHeightMM: 200,     // Total height in mm
   maintainAspectRatio: true,
+  outlineShape: 'rectangle', // 'rectangle', 'circle', 'ellipse', 'hexagon' or 'rounded' (rectangle)
+  cornerRadiusMM: 10,      // 1-50 mm: Corner radius of the rounded rectangle
   
   // === TILING ===
   enableTiling: false,
@@ -46,6 +93,7 @@ const DEFAULT_CONFIG = {
   
   // === ADVANCED ===
   smoothNormals: false,    // Keep false for sharper facets
+  watertightMesh: true,    // Weld facets into one manifold solid (false = loose prisms)
   borderWidth: 2,          // mm: flat border around edge
 };
 
@@ -150,8 +198,17 @@ class ConfigManager {
   }
   
   getLightDirection() {
-    const az = this.config.lightAzimuth * Math.PI / 180;
-    const el = this.config.lightElevation * Math.PI / 180;
+    return this.lightVector(this.config.lightAzimuth, this.config.lightElevation);
+  }
+  
+  // Light used for the second image in dual-image mode
+  getSecondLightDirection() {
+    return this.lightVector(this.config.secondLightAzimuth, this.config.secondLightElevation);
+  }
+  
+  lightVector(azimuth, elevation) {
+    const az = azimuth * Math.PI / 180;
+    const el = elevation * Math.PI / 180;
     
     return {
       x: Math.cos(el) * Math.sin(az),
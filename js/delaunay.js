@@ -1,102 +1,1314 @@
-// Bowyer-Watson Delaunay Triangulation
+// Sweep-hull Delaunay Triangulation
+// O(n log n): points are added in order of distance from a seed triangle, the
+// convex hull is tracked with a linked list plus angular hash, and new
+// triangles are legalized by edge flips on a half-edge structure.
 // Produces high-quality triangulation for relief generation
 
+// Robust geometric predicates
+// Fast floating-point filter with an exact expansion-arithmetic fallback
+// (Shewchuk, "Adaptive Precision Floating-Point Arithmetic", 1997).
+// Both use screen orientation (y down), matching image coordinates.
+class Predicates {
+  // Positive if a, b, c turn counter-clockwise on screen, negative if
+  // clockwise, zero if collinear
+  static orient2d(ax, ay, bx, by, cx, cy) {
+    const detleft = (ay - cy) * (bx - cx);
+    const detright = (ax - cx) * (by - cy);
+    const det = detleft - detright;
+    
+    const errbound = 3.3306690738754716e-16 * (Math.abs(detleft) + Math.abs(detright));
+    if (Math.abs(det) > errbound) return det;
+    
+    return -this.orient2dExact(ax, ay, bx, by, cx, cy);
+  }
+  
+  // Positive if d lies inside the circumcircle of the screen-counter-clockwise
+  // triangle a, b, c; negative if outside, zero if cocircular
+  static incircle(ax, ay, bx, by, cx, cy, dx, dy) {
+    const adx = ax - dx, ady = ay - dy;
+    const bdx = bx - dx, bdy = by - dy;
+    const cdx = cx - dx, cdy = cy - dy;
+    
+    const bdxcdy = bdx * cdy, cdxbdy = cdx * bdy;
+    const cdxady = cdx * ady, adxcdy = adx * cdy;
+    const adxbdy = adx * bdy, bdxady = bdx * ady;
+    
+    const alift = adx * adx + ady * ady;
+    const blift = bdx * bdx + bdy * bdy;
+    const clift = cdx * cdx + cdy * cdy;
+    
+    const det = alift * (bdxcdy - cdxbdy) + blift * (cdxady - adxcdy) + clift * (adxbdy - bdxady);
+    
+    const permanent = (Math.abs(bdxcdy) + Math.abs(cdxbdy)) * alift +
+                      (Math.abs(cdxady) + Math.abs(adxcdy)) * blift +
+                      (Math.abs(adxbdy) + Math.abs(bdxady)) * clift;
+    const errbound = 1.1102230246251577e-15 * permanent;
+    if (Math.abs(det) > errbound) return -det;
+    
+    return -this.incircleExact(ax, ay, bx, by, cx, cy, dx, dy);
+  }
+  
+  // Exact sign of (a - c) x (b - c), y-up convention
+  static orient2dExact(ax, ay, bx, by, cx, cy) {
+    const acx = this.twoSum(ax, -cx);
+    const acy = this.twoSum(ay, -cy);
+    const bcx = this.twoSum(bx, -cx);
+    const bcy = this.twoSum(by, -cy);
+    
+    const det = this.sum(this.mul(acx, bcy), this.negate(this.mul(acy, bcx)));
+    return det[det.length - 1];
+  }
+  
+  // Exact in-circle determinant, y-up convention
+  static incircleExact(ax, ay, bx, by, cx, cy, dx, dy) {
+    const adx = this.twoSum(ax, -dx), ady = this.twoSum(ay, -dy);
+    const bdx = this.twoSum(bx, -dx), bdy = this.twoSum(by, -dy);
+    const cdx = this.twoSum(cx, -dx), cdy = this.twoSum(cy, -dy);
+    
+    const alift = this.sum(this.mul(adx, adx), this.mul(ady, ady));
+    const blift = this.sum(this.mul(bdx, bdx), this.mul(bdy, bdy));
+    const clift = this.sum(this.mul(cdx, cdx), this.mul(cdy, cdy));
+    
+    const bcdet = this.sum(this.mul(bdx, cdy), this.negate(this.mul(bdy, cdx)));
+    const cadet = this.sum(this.mul(cdx, ady), this.negate(this.mul(cdy, adx)));
+    const abdet = this.sum(this.mul(adx, bdy), this.negate(this.mul(ady, bdx)));
+    
+    const det = this.sum(
+      this.sum(this.mul(alift, bcdet), this.mul(blift, cadet)),
+      this.mul(clift, abdet)
+    );
+    return det[det.length - 1];
+  }
+  
+  // === Expansion arithmetic ===
+  // An expansion is an array of non-overlapping doubles in increasing
+  // magnitude whose exact sum is the represented value.
+  
+  static twoSum(a, b) {
+    const x = a + b;
+    const bv = x - a;
+    const av = x - bv;
+    const lo = (a - av) + (b - bv);
+    return lo !== 0 ? [lo, x] : [x];
+  }
+  
+  static twoProduct(a, b) {
+    const x = a * b;
+    const [ahi, alo] = this.split(a);
+    const [bhi, blo] = this.split(b);
+    const err = x - ahi * bhi - alo * bhi - ahi * blo;
+    const lo = alo * blo - err;
+    return lo !== 0 ? [lo, x] : [x];
+  }
+  
+  static split(a) {
+    const c = 134217729 * a; // 2^27 + 1
+    const hi = c - (c - a);
+    return [hi, a - hi];
+  }
+  
+  // Add a single double to an expansion
+  static grow(e, b) {
+    const h = [];
+    let q = b;
+    for (const ei of e) {
+      const x = q + ei;
+      const bv = x - q;
+      const av = x - bv;
+      const lo = (q - av) + (ei - bv);
+      if (lo !== 0) h.push(lo);
+      q = x;
+    }
+    if (q !== 0 || h.length === 0) h.push(q);
+    return h;
+  }
+  
+  static sum(e, f) {
+    let h = e;
+    for (const fi of f) h = this.grow(h, fi);
+    return h;
+  }
+  
+  // Multiply an expansion by a single double
+  static scale(e, b) {
+    let h = [];
+    for (const ei of e) {
+      for (const p of this.twoProduct(ei, b)) h = this.grow(h, p);
+    }
+    return h;
+  }
+  
+  static mul(e, f) {
+    let h = [0];
+    for (const fi of f) h = this.sum(h, this.scale(e, fi));
+    return h;
+  }
+  
+  static negate(e) {
+    return e.map(x => -x);
+  }
+}
+
+
 class Delaunay {
-  static triangulate(points) {
+  // Triangulate point objects ({x, y, ...}); returns [{ vertices: [p0, p1, p2] }]
+  // with triangles counter-clockwise on screen
+  // onProgress(fraction) is called periodically while points are inserted
+  static triangulate(points, onProgress = null) {
     if (points.length < 3) return [];
     
-    // Find bounding box
-    let minX = Infinity, minY = Infinity;
-    let maxX = -Infinity, maxY = -Infinity;
+    const coords = new Float64Array(points.length * 2);
+    for (let i = 0; i < points.length; i++) {
+      coords[2 * i] = points[i].x;
+      coords[2 * i + 1] = points[i].y;
+    }
+    
+    const { triangles } = this.triangulateCoords(coords, onProgress);
+    
+    return this.toTriangleObjects(points, triangles);
+  }
+  
+  // Constrained Delaunay triangulation: every segment [i, j] (indices into
+  // points) is forced to appear as a triangle edge, and the rest of the mesh
+  // stays as Delaunay as the constraints allow. Segments that would cross an
+  // already inserted one are skipped.
+  static triangulateConstrained(points, segments, onProgress = null) {
+    if (points.length < 3) return { triangles: [], constrainedCount: 0, skippedCount: 0 };
+    
+    const coords = new Float64Array(points.length * 2);
+    for (let i = 0; i < points.length; i++) {
+      coords[2 * i] = points[i].x;
+      coords[2 * i + 1] = points[i].y;
+    }
+    
+    const mesh = this.createEditableMesh(coords, this.triangulateCoords(coords, onProgress));
+    
+    let constrainedCount = 0;
+    let skippedCount = 0;
+    
+    for (const [a, b] of segments) {
+      if (a === b) continue;
+      
+      if (this.insertConstraint(mesh, a, b)) {
+        constrainedCount++;
+      } else {
+        skippedCount++;
+      }
+    }
+    
+    return {
+      triangles: this.toTriangleObjects(points, mesh.triangles),
+      constrainedCount,
+      skippedCount
+    };
+  }
+  
+  // Constrained triangulation that is Delaunay in a spatially varying metric
+  // rather than the plane's. Points may carry stretch (>= 1) and a unit
+  // direction (ux, uy): their spacing is stretch times tighter along u than
+  // across it. After the usual build, free edges are flipped until each quad
+  // passes the incircle test in the average metric of its four corners, so
+  // elongated spacing gives triangles elongated across u instead of short
+  // cross links.
+  static triangulateAnisotropic(points, segments, onProgress = null) {
+    if (points.length < 3) return { triangles: [], constrainedCount: 0, skippedCount: 0 };
+    
+    const coords = new Float64Array(points.length * 2);
+    for (let i = 0; i < points.length; i++) {
+      coords[2 * i] = points[i].x;
+      coords[2 * i + 1] = points[i].y;
+    }
+    
+    const mesh = this.createEditableMesh(coords, this.triangulateCoords(coords, onProgress));
+    mesh.metric = this.pointMetric(points);
+    
+    let constrainedCount = 0;
+    let skippedCount = 0;
+    for (const [a, b] of segments) {
+      if (a === b) continue;
+      if (this.insertConstraint(mesh, a, b)) {
+        constrainedCount++;
+      } else {
+        skippedCount++;
+      }
+    }
     
-    for (const p of points) {
-      minX = Math.min(minX, p.x);
-      minY = Math.min(minY, p.y);
-      maxX = Math.max(maxX, p.x);
-      maxY = Math.max(maxY, p.y);
+    const { triangles, halfedges } = mesh;
+    const edges = [];
+    for (let e = 0; e < triangles.length; e++) {
+      if (halfedges[e] > e) edges.push([triangles[e], triangles[this.nextEdge(e)]]);
     }
+    this.restoreDelaunay(mesh, edges);
     
-    // Add margin
-    const dx = (maxX - minX) || 1;
-    const dy = (maxY - minY) || 1;
-    const margin = Math.max(dx, dy) * 10;
+    return {
+      triangles: this.toTriangleObjects(points, mesh.triangles),
+      constrainedCount,
+      skippedCount
+    };
+  }
+  
+  // Per-point metric tensor [a b; b c] = s*u*u' + t*t'/s for the point's
+  // stretch s along unit u (t perpendicular); identity when unstretched
+  static pointMetric(points) {
+    const n = points.length;
+    const metric = { a: new Float64Array(n).fill(1), b: new Float64Array(n), c: new Float64Array(n).fill(1) };
     
-    // Create super triangle that contains all points
-    const superTri = [
-      { x: minX - margin, y: minY - margin, isSuper: true },
-      { x: maxX + margin * 2, y: minY - margin, isSuper: true },
-      { x: (minX + maxX) / 2, y: maxY + margin * 2, isSuper: true }
-    ];
+    for (let i = 0; i < n; i++) {
+      const { stretch, ux, uy } = points[i];
+      if (!stretch || stretch === 1) continue;
+      
+      const inv = 1 / stretch;
+      metric.a[i] = stretch * ux * ux + inv * uy * uy;
+      metric.b[i] = (stretch - inv) * ux * uy;
+      metric.c[i] = stretch * uy * uy + inv * ux * ux;
+    }
+    return metric;
+  }
+  
+  // Incircle test for a, b, p (d inside > 0) after mapping all four points
+  // through the Cholesky factor of their mean metric
+  static incircleInMetric(mesh, a, b, p, d) {
+    const { coords, metric } = mesh;
+    const ma = (metric.a[a] + metric.a[b] + metric.a[p] + metric.a[d]) / 4;
+    const mb = (metric.b[a] + metric.b[b] + metric.b[p] + metric.b[d]) / 4;
+    const mc = (metric.c[a] + metric.c[b] + metric.c[p] + metric.c[d]) / 4;
+    
+    // L = [l11 l12; 0 l22] with L'L = M keeps orientation (det > 0)
+    const l11 = Math.sqrt(ma);
+    const l12 = mb / l11;
+    const l22 = Math.sqrt(Math.max(mc - l12 * l12, 1e-12));
     
-    // Initialize with super triangle
-    let triangles = [{ 
-      vertices: superTri,
-      circle: this.circumcircle(superTri)
-    }];
+    // Relative to a to keep precision
+    const map = (i) => {
+      const x = coords[2 * i] - coords[2 * a], y = coords[2 * i + 1] - coords[2 * a + 1];
+      return [l11 * x + l12 * y, l22 * y];
+    };
     
-    // Add each point
-    for (const point of points) {
-      triangles = this.addPoint(triangles, point);
+    return Predicates.incircle(0, 0, ...map(b), ...map(p), ...map(d));
+  }
+  
+  static toTriangleObjects(points, triangles) {
+    const result = new Array(triangles.length / 3);
+    for (let t = 0; t < triangles.length; t += 3) {
+      result[t / 3] = {
+        vertices: [points[triangles[t]], points[triangles[t + 1]], points[triangles[t + 2]]]
+      };
     }
     
-    // Remove triangles connected to super triangle
-    triangles = triangles.filter(tri => 
-      !tri.vertices.some(v => v.isSuper)
+    return result;
+  }
+  
+  // === Half-edge editing (used for constraints) ===
+  
+  // Wrap triangulateCoords output with a point -> outgoing half-edge index
+  // and a set of locked edges
+  static createEditableMesh(coords, { triangles, halfedges }) {
+    const n = coords.length >> 1;
+    const vertEdge = new Int32Array(n).fill(-1);
+    
+    for (let e = 0; e < triangles.length; e++) {
+      vertEdge[triangles[e]] = e;
+    }
+    
+    // Edge keys use a fixed base so meshes that gain points keep valid keys
+    return { coords, triangles, halfedges, vertEdge, n, keyBase: 2 ** 26, constrained: new Set() };
+  }
+  
+  static nextEdge(e) {
+    return e % 3 === 2 ? e - 2 : e + 1;
+  }
+  
+  static prevEdge(e) {
+    return e % 3 === 0 ? e + 2 : e - 1;
+  }
+  
+  static edgeKey(mesh, a, b) {
+    return a < b ? a * mesh.keyBase + b : b * mesh.keyBase + a;
+  }
+  
+  // All half-edges leaving point a
+  static edgesAround(mesh, a) {
+    const { halfedges } = mesh;
+    const start = mesh.vertEdge[a];
+    const result = [];
+    if (start === -1) return result;
+    
+    // Rotate one way...
+    let e = start;
+    do {
+      result.push(e);
+      e = halfedges[this.prevEdge(e)];
+    } while (e !== -1 && e !== start);
+    
+    // ...and if we hit the hull, the other way from the start
+    if (e === -1) {
+      let t = halfedges[start];
+      while (t !== -1) {
+        e = this.nextEdge(t);
+        result.push(e);
+        t = halfedges[e];
+      }
+    }
+    
+    return result;
+  }
+  
+  // A half-edge between a and b (either direction), or -1
+  static findEdge(mesh, a, b) {
+    const { triangles } = mesh;
+    for (const e of this.edgesAround(mesh, a)) {
+      if (triangles[this.nextEdge(e)] === b) return e;
+      if (triangles[this.prevEdge(e)] === b) return this.prevEdge(e);
+    }
+    return -1;
+  }
+  
+  // Replace the diagonal of the quad around half-edge e with the other one.
+  // e and its twin become the new diagonal.
+  static flipEdge(mesh, e) {
+    const { triangles, halfedges, vertEdge } = mesh;
+    const f = halfedges[e];
+    
+    const e1 = this.nextEdge(e), e2 = this.prevEdge(e);
+    const f1 = this.nextEdge(f), f2 = this.prevEdge(f);
+    
+    const u = triangles[e];
+    const v = triangles[e1];
+    const p = triangles[e2];
+    const q = triangles[f2];
+    
+    const ha = halfedges[e1], hb = halfedges[e2];
+    const hc = halfedges[f1], hd = halfedges[f2];
+    
+    triangles[e] = q; triangles[e1] = p; triangles[e2] = u;
+    triangles[f] = p; triangles[f1] = q; triangles[f2] = v;
+    
+    const link = (x, y) => {
+      halfedges[x] = y;
+      if (y !== -1) halfedges[y] = x;
+    };
+    
+    link(e1, hb);
+    link(e2, hc);
+    link(f1, hd);
+    link(f2, ha);
+    link(e, f);
+    
+    vertEdge[u] = e2;
+    vertEdge[v] = f2;
+    vertEdge[p] = e1;
+    vertEdge[q] = e;
+  }
+  
+  // Force the segment a-b into the mesh (Sloan's edge-flip algorithm)
+  static insertConstraint(mesh, a, b) {
+    const { coords, triangles, halfedges, constrained } = mesh;
+    if (mesh.vertEdge[a] === -1 || mesh.vertEdge[b] === -1) return false;
+    
+    const orient = (i, j, k) => Predicates.orient2d(
+      coords[2 * i], coords[2 * i + 1],
+      coords[2 * j], coords[2 * j + 1],
+      coords[2 * k], coords[2 * k + 1]
     );
     
-    return triangles;
+    // Is point p on the ray from a towards b?
+    const ahead = (p) =>
+      (coords[2 * p] - coords[2 * a]) * (coords[2 * b] - coords[2 * a]) +
+      (coords[2 * p + 1] - coords[2 * a + 1]) * (coords[2 * b + 1] - coords[2 * a + 1]) > 0;
+    
+    if (this.findEdge(mesh, a, b) !== -1) {
+      constrained.add(this.edgeKey(mesh, a, b));
+      return true;
+    }
+    
+    // Find the triangle at a that the segment enters
+    let crossing = -1;
+    for (const e of this.edgesAround(mesh, a)) {
+      const p1 = triangles[this.nextEdge(e)];
+      const p2 = triangles[this.prevEdge(e)];
+      const o1 = orient(a, p1, b);
+      const o2 = orient(a, b, p2);
+      
+      // A vertex lying exactly on the segment splits it in two
+      if (o1 === 0 && ahead(p1)) {
+        return this.insertConstraint(mesh, a, p1) && this.insertConstraint(mesh, p1, b);
+      }
+      if (o2 === 0 && ahead(p2)) {
+        return this.insertConstraint(mesh, a, p2) && this.insertConstraint(mesh, p2, b);
+      }
+      
+      if (o1 > 0 && o2 > 0) {
+        crossing = this.nextEdge(e);
+        break;
+      }
+    }
+    
+    if (crossing === -1) return false;
+    
+    // Walk to b, collecting the edges the segment crosses
+    const crossed = [];
+    let c = crossing;
+    
+    while (true) {
+      const u = triangles[c];
+      const v = triangles[this.nextEdge(c)];
+      
+      // Would cut through an existing constraint
+      if (constrained.has(this.edgeKey(mesh, u, v))) return false;
+      crossed.push([u, v]);
+      
+      const t = halfedges[c];
+      if (t === -1) return false;
+      
+      const w = triangles[this.prevEdge(t)];
+      if (w === b) break;
+      
+      const ow = orient(a, b, w);
+      if (ow === 0) {
+        return this.insertConstraint(mesh, a, w) && this.insertConstraint(mesh, w, b);
+      }
+      
+      // Leave through whichever edge has w on the other side of the segment
+      const ox = orient(a, b, triangles[t]);
+      c = Math.sign(ow) === Math.sign(ox) ? this.nextEdge(t) : this.prevEdge(t);
+    }
+    
+    // Flip crossed edges away until the segment appears
+    const newEdges = [];
+    let guard = crossed.length * crossed.length + 100;
+    
+    while (crossed.length > 0 && guard-- > 0) {
+      const [u, v] = crossed.shift();
+      const e = this.findEdge(mesh, u, v);
+      if (e === -1) continue;
+      
+      const f = halfedges[e];
+      const p = triangles[this.prevEdge(e)];
+      const q = triangles[this.prevEdge(f)];
+      
+      // Only a strictly convex quad can be flipped; come back to it later
+      const ou = orient(p, q, u);
+      const ov = orient(p, q, v);
+      if (ou === 0 || ov === 0 || Math.sign(ou) === Math.sign(ov)) {
+        crossed.push([u, v]);
+        continue;
+      }
+      
+      this.flipEdge(mesh, e);
+      
+      const stillCrosses = p !== a && p !== b && q !== a && q !== b &&
+        Math.sign(orient(a, b, p)) * Math.sign(orient(a, b, q)) < 0 &&
+        Math.sign(orient(p, q, a)) * Math.sign(orient(p, q, b)) < 0;
+      
+      if (stillCrosses) {
+        crossed.push([p, q]);
+      } else {
+        newEdges.push([p, q]);
+      }
+    }
+    
+    if (crossed.length > 0) return false;
+    
+    constrained.add(this.edgeKey(mesh, a, b));
+    this.restoreDelaunay(mesh, newEdges);
+    return true;
   }
   
-  static addPoint(triangles, point) {
-    const badTriangles = [];
-    const polygon = [];
+  // Lawson flips on the given edges (and any they disturb), never touching
+  // constrained edges. Meshes with a metric (see triangulateAnisotropic) are
+  // tested in it.
+  static restoreDelaunay(mesh, edges) {
+    const { coords, triangles, halfedges, constrained } = mesh;
+    const queue = edges.slice();
+    let guard = queue.length * 50 + 1000;
     
-    // Find all triangles whose circumcircle contains the point
-    for (const tri of triangles) {
-      if (this.pointInCircumcircle(point, tri.circle)) {
-        badTriangles.push(tri);
+    while (queue.length > 0 && guard-- > 0) {
+      const [u, v] = queue.pop();
+      if (constrained.has(this.edgeKey(mesh, u, v))) continue;
+      
+      const e = this.findEdge(mesh, u, v);
+      if (e === -1) continue;
+      const f = halfedges[e];
+      if (f === -1) continue;
+      
+      const a = triangles[e];
+      const b = triangles[this.nextEdge(e)];
+      const p = triangles[this.prevEdge(e)];
+      const q = triangles[this.prevEdge(f)];
+      
+      const illegal = (mesh.metric
+        ? this.incircleInMetric(mesh, a, b, p, q)
+        : Predicates.incircle(
+          coords[2 * a], coords[2 * a + 1],
+          coords[2 * b], coords[2 * b + 1],
+          coords[2 * p], coords[2 * p + 1],
+          coords[2 * q], coords[2 * q + 1]
+        )) > 0;
+      
+      if (illegal) {
+        this.flipEdge(mesh, e);
+        queue.push([a, q], [q, b], [b, p], [p, a]);
       }
     }
+  }
+  
+  // === Quality refinement ===
+  
+  // Constrained Delaunay triangulation refined with Steiner points (Ruppert's
+  // algorithm, inserting circumcentres of bad triangles) until every
+  // triangle's smallest angle is at least minAngle degrees, or fixing it would
+  // need an edge shorter than minEdge. Hull edges and segments are protected:
+  // a new point that would land inside a segment's diametral circle splits the
+  // segment at its midpoint instead. Angles and lengths are measured after
+  // scaling x by scaleX and y by scaleY (e.g. to mm).
+  // Without options.maxInserted the point limit follows from the hull area:
+  // points at least minEdge apart can't outnumber about area / minEdge^2, so
+  // only a pathological input reaches it.
+  // Returns { triangles, points, inserted, converged, constrainedCount,
+  // skippedCount }, where points is the input plus the new points
+  // ({ x, y, isBoundary, isSteiner }) and converged is false when the limit
+  // stopped refinement with bad triangles left.
+  static triangulateRefined(points, segments, options) {
+    const { minAngle, minEdge, scaleX = 1, scaleY = 1, onProgress = null } = options;
+    if (points.length < 3) return { triangles: [], points, inserted: 0, converged: true, constrainedCount: 0, skippedCount: 0 };
     
-    // Find the boundary polygon of the bad triangles
-    for (const tri of badTriangles) {
-      for (let i = 0; i < 3; i++) {
-        const edge = [tri.vertices[i], tri.vertices[(i + 1) % 3]];
+    const coords = new Float64Array(points.length * 2);
+    for (let i = 0; i < points.length; i++) {
+      coords[2 * i] = points[i].x * scaleX;
+      coords[2 * i + 1] = points[i].y * scaleY;
+    }
+    
+    // Plain arrays so the mesh can grow
+    const base = this.triangulateCoords(coords, onProgress ? (f) => onProgress(f * 0.3) : null);
+    const mesh = this.createEditableMesh(Array.from(coords), {
+      triangles: Array.from(base.triangles),
+      halfedges: Array.from(base.halfedges)
+    });
+    mesh.vertEdge = Array.from(mesh.vertEdge);
+    
+    let area = 0;
+    for (let t = 0; t < base.triangles.length; t += 3) {
+      const [i0, i1, i2] = [base.triangles[t], base.triangles[t + 1], base.triangles[t + 2]];
+      area += Math.abs(
+        (coords[2 * i1] - coords[2 * i0]) * (coords[2 * i2 + 1] - coords[2 * i0 + 1]) -
+        (coords[2 * i1 + 1] - coords[2 * i0 + 1]) * (coords[2 * i2] - coords[2 * i0])
+      ) / 2;
+    }
+    const maxInserted = options.maxInserted ??
+      (minEdge > 0 ? points.length + Math.ceil(2 * area / (minEdge * minEdge)) : points.length * 8);
+    
+    let constrainedCount = 0;
+    let skippedCount = 0;
+    for (const [a, b] of segments) {
+      if (a === b) continue;
+      if (this.insertConstraint(mesh, a, b)) {
+        constrainedCount++;
+      } else {
+        skippedCount++;
+      }
+    }
+    
+    const { triangles, halfedges, constrained } = mesh;
+    const c = mesh.coords;
+    
+    // The hull is protected like any segment
+    for (let e = 0; e < triangles.length; e++) {
+      if (halfedges[e] === -1) constrained.add(this.edgeKey(mesh, triangles[e], triangles[this.nextEdge(e)]));
+    }
+    
+    const newPoints = [];
+    const sinMin = Math.sin(minAngle * Math.PI / 180);
+    const minEdge2 = minEdge * minEdge;
+    const isSegment = (u, v) => constrained.has(this.edgeKey(mesh, u, v));
+    
+    // Is p strictly inside the diametral circle of segment a-b?
+    const encroaches = (x, y, a, b) =>
+      (x - c[2 * a]) * (x - c[2 * b]) + (y - c[2 * a + 1]) * (y - c[2 * b + 1]) < 0;
+    
+    const addVertex = (x, y, isBoundary) => {
+      c.push(x, y);
+      mesh.vertEdge.push(-1);
+      newPoints.push({ x: x / scaleX, y: y / scaleY, isBoundary, isSteiner: true });
+      return (c.length >> 1) - 1;
+    };
+    
+    const segmentQueue = [];
+    const badQueue = [];
+    
+    // After adding vertex p: recheck its triangles, and any segment it now
+    // sees and encroaches
+    const afterInsert = (p) => {
+      for (const e of this.edgesAround(mesh, p)) {
+        badQueue.push(Math.floor(e / 3));
+        const u = triangles[this.nextEdge(e)], v = triangles[this.prevEdge(e)];
+        if (isSegment(u, v) && encroaches(c[2 * p], c[2 * p + 1], u, v)) segmentQueue.push([u, v]);
+      }
+    };
+    
+    const segmentEncroached = (a, b) => {
+      const e = this.findEdge(mesh, a, b);
+      if (e === -1) return false;
+      for (const h of [e, halfedges[e]]) {
+        if (h === -1) continue;
+        const apex = triangles[this.prevEdge(h)];
+        if (encroaches(c[2 * apex], c[2 * apex + 1], a, b)) return true;
+      }
+      return false;
+    };
+    
+    // Split segment a-b at its midpoint; -1 if the halves would be too short
+    const splitSegment = (a, b) => {
+      const dx = c[2 * b] - c[2 * a], dy = c[2 * b + 1] - c[2 * a + 1];
+      if ((dx * dx + dy * dy) / 4 < minEdge2) return -1;
+      
+      const e = this.findEdge(mesh, a, b);
+      if (e === -1) return -1;
+      
+      const m = addVertex(c[2 * a] + dx / 2, c[2 * a + 1] + dy / 2, halfedges[e] === -1);
+      constrained.delete(this.edgeKey(mesh, a, b));
+      constrained.add(this.edgeKey(mesh, a, m));
+      constrained.add(this.edgeKey(mesh, m, b));
+      this.splitEdgeAt(mesh, e, m);
+      
+      segmentQueue.push([a, m], [m, b]);
+      afterInsert(m);
+      return m;
+    };
+    
+    // Smallest angle below minAngle, and big enough to refine
+    const isBad = (t) => {
+      const [i0, i1, i2] = [triangles[3 * t], triangles[3 * t + 1], triangles[3 * t + 2]];
+      const r2 = this.circumradius(c[2 * i0], c[2 * i0 + 1], c[2 * i1], c[2 * i1 + 1], c[2 * i2], c[2 * i2 + 1]);
+      if (!Number.isFinite(r2) || r2 < minEdge2) return false;
+      
+      const shortest = Math.min(
+        this.dist(c[2 * i0], c[2 * i0 + 1], c[2 * i1], c[2 * i1 + 1]),
+        this.dist(c[2 * i1], c[2 * i1 + 1], c[2 * i2], c[2 * i2 + 1]),
+        this.dist(c[2 * i2], c[2 * i2 + 1], c[2 * i0], c[2 * i0 + 1])
+      );
+      return Math.sqrt(shortest / r2) / 2 < sinMin;
+    };
+    
+    for (const key of constrained) {
+      segmentQueue.push([Math.floor(key / mesh.keyBase), key % mesh.keyBase]);
+    }
+    for (let t = triangles.length / 3 - 1; t >= 0; t--) badQueue.push(t);
+    
+    // Progress is the share of known work done; the queues grow as points go
+    // in, so it is kept from running backwards
+    let inserted = 0, converged = false, progress = 0;
+    while (inserted < maxInserted) {
+      if (onProgress && (inserted & 255) === 0) {
+        progress = Math.max(progress, inserted / (inserted + badQueue.length + segmentQueue.length || 1));
+        onProgress(0.3 + 0.7 * progress);
+      }
+      
+      // Encroached segments first, so circumcentres land inside the domain
+      if (segmentQueue.length > 0) {
+        const [a, b] = segmentQueue.pop();
+        if (isSegment(a, b) && segmentEncroached(a, b) && splitSegment(a, b) !== -1) inserted++;
+        continue;
+      }
+      
+      if (badQueue.length === 0) {
+        converged = true;
+        break;
+      }
+      const t = badQueue.pop();
+      if (!isBad(t)) continue;
+      
+      const [i0, i1, i2] = [triangles[3 * t], triangles[3 * t + 1], triangles[3 * t + 2]];
+      const centre = this.circumcenter(c[2 * i0], c[2 * i0 + 1], c[2 * i1], c[2 * i1 + 1], c[2 * i2], c[2 * i2 + 1]);
+      const found = this.locate(mesh, t, centre.x, centre.y);
+      if (!found) continue;
+      
+      // Beyond a segment or the hull: split that segment instead
+      if (found.blocked !== -1) {
+        const e = found.blocked;
+        if (splitSegment(triangles[e], triangles[this.nextEdge(e)]) !== -1) {
+          inserted++;
+          badQueue.push(t);
+        }
+        continue;
+      }
+      
+      // Inside the diametral circle of a segment on the containing triangle
+      let split = false, blocked = false;
+      for (let k = 0; k < 3; k++) {
+        const e = 3 * found.triangle + k;
+        const u = triangles[e], v = triangles[this.nextEdge(e)];
+        if (!isSegment(u, v) || (!encroaches(centre.x, centre.y, u, v) && e !== found.edge)) continue;
         
-        // Check if this edge is shared with another bad triangle
-        let isShared = false;
-        for (const other of badTriangles) {
-          if (other === tri) continue;
-          
-          for (let j = 0; j < 3; j++) {
-            const otherEdge = [other.vertices[j], other.vertices[(j + 1) % 3]];
-            if (this.edgesEqual(edge, otherEdge)) {
-              isShared = true;
-              break;
-            }
-          }
-          if (isShared) break;
+        if (splitSegment(u, v) !== -1) {
+          inserted++;
+          split = true;
+        } else {
+          blocked = true;
+        }
+        break;
+      }
+      if (split) badQueue.push(t);
+      if (split || blocked) continue;
+      
+      const p = addVertex(centre.x, centre.y, false);
+      if (found.edge !== -1) {
+        this.splitEdgeAt(mesh, found.edge, p);
+      } else {
+        this.splitTriangleAt(mesh, found.triangle, p);
+      }
+      inserted++;
+      afterInsert(p);
+    }
+    
+    if (!converged) {
+      console.warn(`Refinement stopped at the ${maxInserted} point limit`);
+    }
+    
+    const allPoints = points.concat(newPoints);
+    return {
+      triangles: this.toTriangleObjects(allPoints, triangles),
+      points: allPoints,
+      inserted: newPoints.length,
+      converged,
+      constrainedCount,
+      skippedCount
+    };
+  }
+  
+  // Walk from triangle `start` towards (x, y). Returns { triangle, edge, blocked }:
+  // the containing triangle and the half-edge the point lies on (or -1), or
+  // with blocked >= 0 the constrained or hull half-edge that stopped the walk.
+  // null if the walk fails to settle.
+  static locate(mesh, start, x, y) {
+    const { coords, triangles, halfedges, constrained } = mesh;
+    const orient = (i, j) => Predicates.orient2d(
+      coords[2 * i], coords[2 * i + 1], coords[2 * j], coords[2 * j + 1], x, y
+    );
+    
+    let t = start;
+    for (let steps = triangles.length; steps > 0; steps--) {
+      let next = -1, onEdge = -1;
+      
+      for (let k = 0; k < 3; k++) {
+        const e = 3 * t + k;
+        const u = triangles[e], v = triangles[this.nextEdge(e)], w = triangles[this.prevEdge(e)];
+        const side = orient(u, v);
+        if (side === 0) {
+          onEdge = e;
+          continue;
         }
         
-        if (!isShared) {
-          polygon.push(edge);
+        const inside = Predicates.orient2d(
+          coords[2 * u], coords[2 * u + 1], coords[2 * v], coords[2 * v + 1], coords[2 * w], coords[2 * w + 1]
+        );
+        if (Math.sign(side) !== Math.sign(inside)) {
+          if (constrained.has(this.edgeKey(mesh, u, v))) return { triangle: t, edge: -1, blocked: e };
+          next = Math.floor(halfedges[e] / 3);
+          break;
         }
       }
+      
+      if (next === -1) return { triangle: t, edge: onEdge, blocked: -1 };
+      t = next;
     }
+    return null;
+  }
+  
+  // Split triangle t into three around new vertex p, then restore Delaunay
+  static splitTriangleAt(mesh, t, p) {
+    const { triangles } = mesh;
+    const [a, b, c] = [triangles[3 * t], triangles[3 * t + 1], triangles[3 * t + 2]];
+    this.replaceTriangles(mesh, [t], [[a, b, p], [b, c, p], [c, a, p]]);
+    this.restoreDelaunay(mesh, [[a, b], [b, c], [c, a]]);
+  }
+  
+  // Split half-edge e (and its twin's triangle) at new vertex p lying on it,
+  // then restore Delaunay
+  static splitEdgeAt(mesh, e, p) {
+    const { triangles, halfedges } = mesh;
+    const f = halfedges[e];
+    const a = triangles[e], b = triangles[this.nextEdge(e)], c = triangles[this.prevEdge(e)];
     
-    // Remove bad triangles
-    const newTriangles = triangles.filter(t => !badTriangles.includes(t));
+    const slots = [Math.floor(e / 3)];
+    const tris = [[a, p, c], [p, b, c]];
+    const link = [[b, c], [c, a]];
     
-    // Create new triangles from polygon edges to the new point
-    for (const edge of polygon) {
-      const newVerts = [edge[0], edge[1], point];
-      newTriangles.push({
-        vertices: newVerts,
-        circle: this.circumcircle(newVerts)
-      });
+    if (f !== -1) {
+      const d = triangles[this.prevEdge(f)];
+      slots.push(Math.floor(f / 3));
+      tris.push([b, p, d], [p, a, d]);
+      link.push([a, d], [d, b]);
+    }
+    
+    this.replaceTriangles(mesh, slots, tris);
+    this.restoreDelaunay(mesh, link);
+  }
+  
+  // Overwrite the triangles in `slots` with `tris` (vertex triples, same
+  // orientation), appending slots as needed, and relink half-edges both
+  // inside the new patch and to the triangles around it
+  static replaceTriangles(mesh, slots, tris) {
+    const { triangles, halfedges, vertEdge } = mesh;
+    
+    // Twins across the patch border, keyed by directed edge
+    const cavity = new Set(slots);
+    const outside = new Map();
+    for (const t of slots) {
+      for (let e = 3 * t; e < 3 * t + 3; e++) {
+        const twin = halfedges[e];
+        if (twin === -1 || !cavity.has(Math.floor(twin / 3))) {
+          outside.set(`${triangles[e]},${triangles[this.nextEdge(e)]}`, twin);
+        }
+      }
+    }
+    
+    const targets = slots.slice();
+    while (targets.length < tris.length) {
+      targets.push(triangles.length / 3);
+      triangles.push(0, 0, 0);
+      halfedges.push(-1, -1, -1);
+    }
+    
+    // Reused slots drop their old twins; edges left unlinked below are hull
+    tris.forEach((tri, i) => {
+      for (let k = 0; k < 3; k++) {
+        triangles[3 * targets[i] + k] = tri[k];
+        halfedges[3 * targets[i] + k] = -1;
+      }
+    });
+    
+    const inner = new Map();
+    for (const t of targets) {
+      for (let e = 3 * t; e < 3 * t + 3; e++) {
+        const u = triangles[e], v = triangles[this.nextEdge(e)];
+        vertEdge[u] = e;
+        
+        const key = `${u},${v}`;
+        if (outside.has(key)) {
+          const twin = outside.get(key);
+          halfedges[e] = twin;
+          if (twin !== -1) halfedges[twin] = e;
+          continue;
+        }
+        
+        const back = inner.get(`${v},${u}`);
+        if (back !== undefined) {
+          halfedges[e] = back;
+          halfedges[back] = e;
+        } else {
+          inner.set(key, e);
+        }
+      }
+    }
+  }
+  
+  // Core sweep-hull triangulation over a flat [x0, y0, x1, y1, ...] array.
+  // Returns typed arrays:
+  //   triangles - point indices, three per triangle
+  //   halfedges - opposite half-edge for each triangle edge (-1 on the hull)
+  //   hull      - convex hull point indices
+  static triangulateCoords(coords, onProgress = null) {
+    const n = coords.length >> 1;
+    const maxTriangles = Math.max(2 * n - 5, 0);
+    const triangles = new Uint32Array(maxTriangles * 3);
+    const halfedges = new Int32Array(maxTriangles * 3);
+    
+    const hashSize = Math.ceil(Math.sqrt(n));
+    const hullPrev = new Uint32Array(n);
+    const hullNext = new Uint32Array(n);
+    const hullTri = new Uint32Array(n);
+    const hullHash = new Int32Array(hashSize).fill(-1);
+    
+    const ids = new Uint32Array(n);
+    const dists = new Float64Array(n);
+    
+    // Find bounding box
+    let minX = Infinity, minY = Infinity;
+    let maxX = -Infinity, maxY = -Infinity;
+    
+    for (let i = 0; i < n; i++) {
+      const x = coords[2 * i];
+      const y = coords[2 * i + 1];
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+      ids[i] = i;
+    }
+    
+    const cx = (minX + maxX) / 2;
+    const cy = (minY + maxY) / 2;
+    
+    // Seed triangle: point closest to the center, its nearest neighbour, and
+    // the third point forming the smallest circumcircle with them
+    let i0 = 0, i1 = 0, i2 = 0;
+    let minDist = Infinity;
+    
+    for (let i = 0; i < n; i++) {
+      const d = this.dist(cx, cy, coords[2 * i], coords[2 * i + 1]);
+      if (d < minDist) {
+        i0 = i;
+        minDist = d;
+      }
+    }
+    const i0x = coords[2 * i0];
+    const i0y = coords[2 * i0 + 1];
+    
+    minDist = Infinity;
+    for (let i = 0; i < n; i++) {
+      if (i === i0) continue;
+      const d = this.dist(i0x, i0y, coords[2 * i], coords[2 * i + 1]);
+      if (d < minDist && d > 0) {
+        i1 = i;
+        minDist = d;
+      }
+    }
+    let i1x = coords[2 * i1];
+    let i1y = coords[2 * i1 + 1];
+    
+    let minRadius = Infinity;
+    for (let i = 0; i < n; i++) {
+      if (i === i0 || i === i1) continue;
+      const r = this.circumradius(i0x, i0y, i1x, i1y, coords[2 * i], coords[2 * i + 1]);
+      if (r < minRadius) {
+        i2 = i;
+        minRadius = r;
+      }
+    }
+    let i2x = coords[2 * i2];
+    let i2y = coords[2 * i2 + 1];
+    
+    if (minRadius === Infinity) {
+      // All points collinear: no triangles, hull is the sorted point chain
+      for (let i = 0; i < n; i++) {
+        dists[i] = (coords[2 * i] - coords[0]) || (coords[2 * i + 1] - coords[1]);
+      }
+      this.quicksort(ids, dists, 0, n - 1);
+      
+      const hull = [];
+      let d0 = -Infinity;
+      for (let i = 0; i < n; i++) {
+        const id = ids[i];
+        if (dists[id] > d0) {
+          hull.push(id);
+          d0 = dists[id];
+        }
+      }
+      
+      return {
+        triangles: new Uint32Array(0),
+        halfedges: new Int32Array(0),
+        hull: new Uint32Array(hull)
+      };
+    }
+    
+    // Seed triangle must be counter-clockwise on screen
+    if (Predicates.orient2d(i0x, i0y, i1x, i1y, i2x, i2y) < 0) {
+      const i = i1, x = i1x, y = i1y;
+      i1 = i2; i1x = i2x; i1y = i2y;
+      i2 = i; i2x = x; i2y = y;
+    }
+    
+    const center = this.circumcenter(i0x, i0y, i1x, i1y, i2x, i2y);
+    
+    for (let i = 0; i < n; i++) {
+      dists[i] = this.dist(coords[2 * i], coords[2 * i + 1], center.x, center.y);
     }
     
-    return newTriangles;
+    // Sort points by distance from the seed triangle circumcenter
+    this.quicksort(ids, dists, 0, n - 1);
+    
+    const hashKey = (x, y) =>
+      Math.floor(this.pseudoAngle(x - center.x, y - center.y) * hashSize) % hashSize;
+    
+    // Set up the seed triangle as the starting hull
+    let hullStart = i0;
+    let hullSize = 3;
+    
+    hullNext[i0] = hullPrev[i2] = i1;
+    hullNext[i1] = hullPrev[i0] = i2;
+    hullNext[i2] = hullPrev[i1] = i0;
+    
+    hullTri[i0] = 0;
+    hullTri[i1] = 1;
+    hullTri[i2] = 2;
+    
+    hullHash[hashKey(i0x, i0y)] = i0;
+    hullHash[hashKey(i1x, i1y)] = i1;
+    hullHash[hashKey(i2x, i2y)] = i2;
+    
+    let trianglesLen = 0;
+    const edgeStack = [];
+    
+    const link = (a, b) => {
+      halfedges[a] = b;
+      if (b !== -1) halfedges[b] = a;
+    };
+    
+    const addTriangle = (t0, t1, t2, a, b, c) => {
+      const t = trianglesLen;
+      triangles[t] = t0;
+      triangles[t + 1] = t1;
+      triangles[t + 2] = t2;
+      link(t, a);
+      link(t + 1, b);
+      link(t + 2, c);
+      trianglesLen += 3;
+      return t;
+    };
+    
+    // Flip edges until the triangles around half-edge `a` are locally Delaunay
+    const legalize = (a) => {
+      let ar = 0;
+      
+      while (true) {
+        const b = halfedges[a];
+        
+        //           b0                         b0
+        //          /||\                       /  \
+        //       al/ || \bl                 al/    \a
+        //        /  ||  \                   /      \
+        //       /  a||b  \      flip       /___ar___\
+        //     p0\   ||   /p1     =>      p0\---bl---/p1
+        //        \  ||  /                   \      /
+        //       ar\ || /br                  b\    /br
+        //          \||/                       \  /
+        //           a0                         a0
+        const a0 = a - a % 3;
+        ar = a0 + (a + 2) % 3;
+        
+        if (b === -1) {
+          if (edgeStack.length === 0) break;
+          a = edgeStack.pop();
+          continue;
+        }
+        
+        const b0 = b - b % 3;
+        const al = a0 + (a + 1) % 3;
+        const bl = b0 + (b + 2) % 3;
+        
+        const p0 = triangles[ar];
+        const pr = triangles[a];
+        const pl = triangles[al];
+        const p1 = triangles[bl];
+        
+        const illegal = Predicates.incircle(
+          coords[2 * p0], coords[2 * p0 + 1],
+          coords[2 * pr], coords[2 * pr + 1],
+          coords[2 * pl], coords[2 * pl + 1],
+          coords[2 * p1], coords[2 * p1 + 1]
+        ) > 0;
+        
+        if (illegal) {
+          triangles[a] = p1;
+          triangles[b] = p0;
+          
+          const hbl = halfedges[bl];
+          
+          // Edge swapped on the other side of the hull (rare): fix the hull reference
+          if (hbl === -1) {
+            let e = hullStart;
+            do {
+              if (hullTri[e] === bl) {
+                hullTri[e] = a;
+                break;
+              }
+              e = hullPrev[e];
+            } while (e !== hullStart);
+          }
+          
+          link(a, hbl);
+          link(b, halfedges[ar]);
+          link(ar, bl);
+          
+          edgeStack.push(b0 + (b + 1) % 3);
+        } else {
+          if (edgeStack.length === 0) break;
+          a = edgeStack.pop();
+        }
+      }
+      
+      return ar;
+    };
+    
+    addTriangle(i0, i1, i2, -1, -1, -1);
+    
+    let xp = 0, yp = 0;
+    
+    for (let k = 0; k < n; k++) {
+      const i = ids[k];
+      const x = coords[2 * i];
+      const y = coords[2 * i + 1];
+      
+      if (onProgress && (k & 4095) === 0) onProgress(k / n);
+      
+      // Skip exact duplicates
+      if (k > 0 && x === xp && y === yp) continue;
+      xp = x;
+      yp = y;
+      
+      if (i === i0 || i === i1 || i === i2) continue;
+      
+      // Find a visible edge on the convex hull using the angular hash
+      let start = 0;
+      for (let j = 0, key = hashKey(x, y); j < hashSize; j++) {
+        start = hullHash[(key + j) % hashSize];
+        if (start !== -1 && start !== hullNext[start]) break;
+      }
+      
+      start = hullPrev[start];
+      let e = start, q;
+      while (q = hullNext[e], Predicates.orient2d(x, y, coords[2 * e], coords[2 * e + 1], coords[2 * q], coords[2 * q + 1]) >= 0) {
+        e = q;
+        if (e === start) {
+          e = -1;
+          break;
+        }
+      }
+      
+      // Point coincides with the hull: nothing to add
+      if (e === -1) continue;
+      
+      // Add the first triangle from the point
+      let t = addTriangle(e, i, hullNext[e], -1, -1, hullTri[e]);
+      
+      hullTri[i] = legalize(t + 2);
+      hullTri[e] = t;
+      hullSize++;
+      
+      // Walk forward through the hull, adding more triangles and flipping
+      let nxt = hullNext[e];
+      while (q = hullNext[nxt], Predicates.orient2d(x, y, coords[2 * nxt], coords[2 * nxt + 1], coords[2 * q], coords[2 * q + 1]) < 0) {
+        t = addTriangle(nxt, i, q, hullTri[i], -1, hullTri[nxt]);
+        hullTri[i] = legalize(t + 2);
+        hullNext[nxt] = nxt; // Mark as removed
+        hullSize--;
+        nxt = q;
+      }
+      
+      // Walk backward from the other side
+      if (e === start) {
+        while (q = hullPrev[e], Predicates.orient2d(x, y, coords[2 * q], coords[2 * q + 1], coords[2 * e], coords[2 * e + 1]) < 0) {
+          t = addTriangle(q, i, e, -1, hullTri[e], hullTri[q]);
+          legalize(t + 2);
+          hullTri[q] = t;
+          hullNext[e] = e; // Mark as removed
+          hullSize--;
+          e = q;
+        }
+      }
+      
+      // Update the hull
+      hullStart = hullPrev[i] = e;
+      hullNext[e] = hullPrev[nxt] = i;
+      hullNext[i] = nxt;
+      
+      hullHash[hashKey(x, y)] = i;
+      hullHash[hashKey(coords[2 * e], coords[2 * e + 1])] = e;
+    }
+    
+    const hull = new Uint32Array(hullSize);
+    for (let i = 0, e = hullStart; i < hullSize; i++) {
+      hull[i] = e;
+      e = hullNext[e];
+    }
+    
+    return {
+      triangles: triangles.subarray(0, trianglesLen),
+      halfedges: halfedges.subarray(0, trianglesLen),
+      hull
+    };
+  }
+  
+  static dist(ax, ay, bx, by) {
+    const dx = ax - bx;
+    const dy = ay - by;
+    return dx * dx + dy * dy;
+  }
+  
+  // Monotonic in angle, cheaper than atan2; range [0, 1)
+  static pseudoAngle(dx, dy) {
+    const p = dx / (Math.abs(dx) + Math.abs(dy));
+    return (dy > 0 ? 3 - p : 1 + p) / 4;
+  }
+  
+  // Squared circumradius (Infinity when degenerate)
+  static circumradius(ax, ay, bx, by, cx, cy) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const ex = cx - ax;
+    const ey = cy - ay;
+    
+    const bl = dx * dx + dy * dy;
+    const cl = ex * ex + ey * ey;
+    const d = 0.5 / (dx * ey - dy * ex);
+    
+    const x = (ey * bl - dy * cl) * d;
+    const y = (dx * cl - ex * bl) * d;
+    
+    const r = x * x + y * y;
+    return Number.isFinite(r) ? r : Infinity;
+  }
+  
+  static circumcenter(ax, ay, bx, by, cx, cy) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const ex = cx - ax;
+    const ey = cy - ay;
+    
+    const bl = dx * dx + dy * dy;
+    const cl = ex * ex + ey * ey;
+    const d = 0.5 / (dx * ey - dy * ex);
+    
+    return {
+      x: ax + (ey * bl - dy * cl) * d,
+      y: ay + (dx * cl - ex * bl) * d
+    };
+  }
+  
+  static quicksort(ids, dists, left, right) {
+    if (right - left <= 20) {
+      for (let i = left + 1; i <= right; i++) {
+        const temp = ids[i];
+        const tempDist = dists[temp];
+        let j = i - 1;
+        while (j >= left && dists[ids[j]] > tempDist) ids[j + 1] = ids[j--];
+        ids[j + 1] = temp;
+      }
+    } else {
+      const median = (left + right) >> 1;
+      let i = left + 1;
+      let j = right;
+      this.swap(ids, median, i);
+      if (dists[ids[left]] > dists[ids[right]]) this.swap(ids, left, right);
+      if (dists[ids[i]] > dists[ids[right]]) this.swap(ids, i, right);
+      if (dists[ids[left]] > dists[ids[i]]) this.swap(ids, left, i);
+      
+      const temp = ids[i];
+      const tempDist = dists[temp];
+      while (true) {
+        do i++; while (dists[ids[i]] < tempDist);
+        do j--; while (dists[ids[j]] > tempDist);
+        if (j < i) break;
+        this.swap(ids, i, j);
+      }
+      ids[left + 1] = ids[j];
+      ids[j] = temp;
+      
+      if (right - i + 1 >= j - left) {
+        this.quicksort(ids, dists, i, right);
+        this.quicksort(ids, dists, left, j - 1);
+      } else {
+        this.quicksort(ids, dists, left, j - 1);
+        this.quicksort(ids, dists, i, right);
+      }
+    }
+  }
+  
+  static swap(arr, i, j) {
+    const tmp = arr[i];
+    arr[i] = arr[j];
+    arr[j] = tmp;
   }
   
   static circumcircle(vertices) {
@@ -121,17 +1333,6 @@ class Delaunay {
     return { x: ux, y: uy, r };
   }
   
-  static pointInCircumcircle(point, circle) {
-    const dx = point.x - circle.x;
-    const dy = point.y - circle.y;
-    return Math.sqrt(dx * dx + dy * dy) < circle.r;
-  }
-  
-  static edgesEqual(e1, e2) {
-    return (e1[0] === e2[0] && e1[1] === e2[1]) ||
-           (e1[0] === e2[1] && e1[1] === e2[0]);
-  }
-  
   // Convert triangulation result to indexed format for Three.js
   static toIndexedGeometry(triangles) {
     const vertexMap = new Map();
@@ -0,0 +1,150 @@
+// Painted detail mask
+// A coarse grid over the (framed) image whose cells ask for more detail,
+// less detail or a flat region. The config keeps it run-length encoded
+// ({ width, height, runs: [value, count, ...] }) so saved settings stay small.
+
+// Cells along the image's long side
+const MASK_RESOLUTION = 128;
+
+const MASK_NONE = 0;
+const MASK_MORE = 1;
+const MASK_LESS = 2;
+const MASK_FLAT = 3;
+
+// Decoded masks per stored object, which the config replaces on every edit
+const decodedMasks = new WeakMap();
+
+class DetailMask {
+  // Empty mask with square cells for an image of the given width / height
+  static create(aspect) {
+    const width = aspect >= 1 ? MASK_RESOLUTION : Math.max(1, Math.round(MASK_RESOLUTION * aspect));
+    const height = aspect >= 1 ? Math.max(1, Math.round(MASK_RESOLUTION / aspect)) : MASK_RESOLUTION;
+    return { width, height, data: new Uint8Array(width * height) };
+  }
+  
+  static encode(mask) {
+    const runs = [];
+    for (let i = 0; i < mask.data.length; i++) {
+      if (runs.length > 0 && runs[runs.length - 2] === mask.data[i]) {
+        runs[runs.length - 1]++;
+      } else {
+        runs.push(mask.data[i], 1);
+      }
+    }
+    return { width: mask.width, height: mask.height, runs };
+  }
+  
+  static decode(stored) {
+    let mask = decodedMasks.get(stored);
+    if (!mask) {
+      mask = { width: stored.width, height: stored.height, data: new Uint8Array(stored.width * stored.height) };
+      let offset = 0;
+      for (let i = 0; i < stored.runs.length; i += 2) {
+        mask.data.fill(stored.runs[i], offset, Math.min(mask.data.length, offset + stored.runs[i + 1]));
+        offset += stored.runs[i + 1];
+      }
+      decodedMasks.set(stored, mask);
+    }
+    return mask;
+  }
+  
+  // Mask from cfg.detailMask, or null when nothing is painted
+  static fromConfig(cfg) {
+    return cfg.detailMask ? this.decode(cfg.detailMask) : null;
+  }
+  
+  static isEmpty(mask) {
+    return mask.data.every(value => value === MASK_NONE);
+  }
+  
+  // The mask for a new framing of the same image (aspect is its width /
+  // height): toSource maps the new frame's 0-1 coordinates to source pixels
+  // and fromSource takes those into the old frame (see
+  // ImageAnalyzer.framingMap and framingInverse). Cells the old frame didn't
+  // cover start unpainted.
+  static remap(mask, aspect, toSource, fromSource) {
+    const result = this.create(aspect);
+    const pos = [0, 0];
+    for (let y = 0; y < result.height; y++) {
+      for (let x = 0; x < result.width; x++) {
+        fromSource(...toSource((x + 0.5) / result.width, (y + 0.5) / result.height, pos), pos);
+        if (pos[0] >= 0 && pos[0] <= 1 && pos[1] >= 0 && pos[1] <= 1) {
+          result.data[y * result.width + x] = this.valueAt(mask, pos[0], pos[1]);
+        }
+      }
+    }
+    return result;
+  }
+  
+  // Value under normalized coordinates (0-1)
+  static valueAt(mask, nx, ny) {
+    const x = Math.min(mask.width - 1, Math.max(0, Math.floor(nx * mask.width)));
+    const y = Math.min(mask.height - 1, Math.max(0, Math.floor(ny * mask.height)));
+    return mask.data[y * mask.width + x];
+  }
+  
+  // Spacing multiplier for a mask value: more detail packs points strength
+  // times closer, less detail and flat regions spread them as far
+  static spacingScale(value, strength) {
+    if (value === MASK_MORE) return 1 / strength;
+    if (value === MASK_LESS || value === MASK_FLAT) return strength;
+    return 1;
+  }
+  
+  // Set every cell within radius (a fraction of the long side) of the
+  // normalized point to value
+  static paint(mask, nx, ny, radius, value) {
+    const long = Math.max(mask.width, mask.height);
+    const cx = nx * mask.width, cy = ny * mask.height;
+    const r = radius * long;
+    const x0 = Math.max(0, Math.floor(cx - r)), x1 = Math.min(mask.width - 1, Math.ceil(cx + r));
+    const y0 = Math.max(0, Math.floor(cy - r)), y1 = Math.min(mask.height - 1, Math.ceil(cy + r));
+    
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        if (Math.hypot(x + 0.5 - cx, y + 0.5 - cy) <= r) mask.data[y * mask.width + x] = value;
+      }
+    }
+  }
+  
+  // Connected flat areas: a label per cell, -1 outside flat cells. Each
+  // area becomes one plane in the mesh. Cached with the decoded mask.
+  static flatComponents(mask) {
+    if (mask.flatLabels) return mask.flatLabels;
+    
+    const { width, height, data } = mask;
+    const labels = new Int32Array(width * height).fill(-1);
+    let count = 0;
+    const stack = [];
+    for (let start = 0; start < data.length; start++) {
+      if (data[start] !== MASK_FLAT || labels[start] !== -1) continue;
+      
+      labels[start] = count;
+      stack.push(start);
+      while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % width, y = (i - x) / width;
+        for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const j = ny * width + nx;
+          if (data[j] === MASK_FLAT && labels[j] === -1) {
+            labels[j] = count;
+            stack.push(j);
+          }
+        }
+      }
+      count++;
+    }
+    
+    mask.flatLabels = labels;
+    return labels;
+  }
+  
+  // Flat area under normalized coordinates, or -1
+  static flatRegionAt(mask, nx, ny) {
+    const labels = this.flatComponents(mask);
+    const x = Math.min(mask.width - 1, Math.max(0, Math.floor(nx * mask.width)));
+    const y = Math.min(mask.height - 1, Math.max(0, Math.floor(ny * mask.height)));
+    return labels[y * mask.width + x];
+  }
+}
\ No newline at end of file
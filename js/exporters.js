@@ -142,6 +142,7 @@ class Exporters {
 // Light azimuth: ${cfg.lightAzimuth}°
 // Light elevation: ${cfg.lightElevation}°
 // Cell density: ${cfg.cellDensity}
+// Seed: ${cfg.seed}
 // Contrast: ${cfg.contrast}
 // Method: ${cfg.reliefMethod}
 
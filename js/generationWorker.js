@@ -0,0 +1,68 @@
+// Generation worker - point sampling, triangulation and mesh building off the main thread
+//
+// Messages in:
+//   { type: 'run', stages, inputs, cfg, analyzer, secondAnalyzer }
+//     stages: pipeline stages to run, in order ('points', 'triangulation', 'mesh')
+//     inputs: cached upstream results ({ points, triangulation }) the stages build on
+//     analyzer buffers come from ImageAnalyzer.toBuffers; secondAnalyzer is
+//     the dual relief's second image or the hybrid relief's depth map
+// Messages out:
+//   { type: 'progress', stage, percent }
+//   { type: 'result', outputs, analyzer, secondAnalyzer }   (outputs keyed by stage name)
+//   { type: 'error', message, analyzer, secondAnalyzer }
+// Analyzer buffers are transferred back with the result or error so the main
+// thread gets them back without a copy.
+
+importScripts(
+  'config.js',
+  'delaunay.js',
+  'detailMask.js',
+  'imageAnalyzer.js',
+  'geometryGenerator.js',
+  'solidMeshBuilder.js',
+  'lightingSolver.js',
+  'meshBuilder.js',
+  'pipelineCache.js'
+);
+
+let lastProgress = null;
+
+const reportProgress = (stage, fraction) => {
+  const percent = Math.min(100, Math.floor(fraction * 100));
+  if (lastProgress && lastProgress.stage === stage && lastProgress.percent === percent) return;
+  
+  lastProgress = { stage, percent };
+  self.postMessage({ type: 'progress', stage, percent });
+};
+
+self.onmessage = (e) => {
+  const { type, cfg, stages, inputs } = e.data;
+  if (type !== 'run') return;
+  
+  // MeshBuilder reads the light direction and tiling from the global config
+  config.setMultiple(cfg);
+  
+  const analyzer = ImageAnalyzer.fromBuffers(e.data.analyzer);
+  const secondAnalyzer = e.data.secondAnalyzer ? ImageAnalyzer.fromBuffers(e.data.secondAnalyzer) : null;
+  
+  const returnBuffers = () => {
+    const buffers = {
+      analyzer: analyzer.toBuffers(),
+      secondAnalyzer: secondAnalyzer ? secondAnalyzer.toBuffers() : null
+    };
+    const transfer = ImageAnalyzer.transferList(buffers.analyzer);
+    if (buffers.secondAnalyzer) transfer.push(...ImageAnalyzer.transferList(buffers.secondAnalyzer));
+    return { buffers, transfer };
+  };
+  
+  try {
+    const outputs = PipelineCache.runStages(stages, inputs, analyzer, cfg, secondAnalyzer, reportProgress);
+    
+    const { buffers, transfer } = returnBuffers();
+    if (outputs.mesh) transfer.push(outputs.mesh.vertices.buffer, outputs.mesh.indices.buffer);
+    self.postMessage({ type: 'result', outputs, ...buffers }, transfer);
+  } catch (error) {
+    const { buffers, transfer } = returnBuffers();
+    self.postMessage({ type: 'error', message: error.message, ...buffers }, transfer);
+  }
+};
\ No newline at end of file
@@ -1,9 +1,464 @@
 // Point generation with better adaptive distribution
 
+// Facet budget search: accept a density once the count is this close, and
+// never leave these density bounds
+const BUDGET_TOLERANCE = 0.02;
+const BUDGET_MAX_PASSES = 6;
+const BUDGET_DENSITY_RANGE = [5, 400];
+
+// Along-contour to across-contour spacing ratio at full anisotropy on a
+// clean edge
+const MAX_ANISOTROPIC_STRETCH = 4;
+
+// Segments a preset outline's full curve is traced with (see shapeLoop)
+const OUTLINE_CURVE_SEGMENTS = 256;
+
 class PointGenerator {
-  static generate(analyzer, cfg) {
+  // Seeded PRNG (mulberry32) returning floats in [0, 1). Point placement uses
+  // this instead of Math.random so a saved seed reproduces the exact mesh.
+  static createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+  
+  // Local cell size multiplier: brightness sets it between minCellScale and
+  // maxCellScale (when adaptive), the painted mask scales it and edges
+  // shrink it
+  static cellScale(brightness, edge, cfg, maskScale = 1) {
+    let scale = 1;
+    if (cfg.adaptiveSizing) {
+      scale = cfg.minCellScale + (cfg.maxCellScale - cfg.minCellScale) * brightness;
+    }
+    return scale * maskScale / (1 + cfg.edgeSensitivity * edge);
+  }
+  
+  // Spacing multiplier the detail mask (see DetailMask) asks for at (x, y)
+  static maskScale(mask, x, y, cfg) {
+    return mask ? DetailMask.spacingScale(DetailMask.valueAt(mask, x, y), cfg.maskStrength) : 1;
+  }
+  
+  // Regular lattice layouts, as opposed to image-adaptive sampling
+  static isLattice(cfg) {
+    return ['hex', 'square', 'rotated'].includes(cfg.pointStrategy);
+  }
+  
+  // Closed outline loops ({x, y}, normalized) the relief is cut to, or null
+  // for the full rectangle. Holes are loops too; inside is even-odd. An
+  // image cut-out takes precedence over a preset shape.
+  static outlineLoops(analyzer, cfg) {
+    const silhouette = analyzer.silhouetteFor(cfg);
+    if (silhouette) return silhouette.loops;
+    const shape = this.shapeLoop(cfg);
+    return shape ? [shape] : null;
+  }
+  
+  // Preset outline (cfg.outlineShape) as one finely sampled loop, or null
+  // for 'rectangle'. Laid out in mm so circles stay round on any print
+  // size: circle and hexagon are the largest regular ones centred in the
+  // print, ellipse and rounded rectangle fill it.
+  static shapeLoop(cfg) {
+    const shape = cfg.outlineShape || 'rectangle';
+    if (shape === 'rectangle') return null;
+    
+    const w = cfg.outputWidthMM, h = cfg.outputHeightMM;
+    const mm = [];
+    if (shape === 'circle' || shape === 'ellipse') {
+      const rx = shape === 'circle' ? Math.min(w, h) / 2 : w / 2;
+      const ry = shape === 'circle' ? Math.min(w, h) / 2 : h / 2;
+      for (let k = 0; k < OUTLINE_CURVE_SEGMENTS; k++) {
+        const angle = 2 * Math.PI * k / OUTLINE_CURVE_SEGMENTS;
+        mm.push({ x: rx * Math.cos(angle), y: ry * Math.sin(angle) });
+      }
+    } else if (shape === 'hexagon') {
+      // Corners along the long side: flat top on a wide print, pointy on a tall one
+      const wide = w >= h;
+      const size = wide ? Math.min(w / 2, h / Math.sqrt(3)) : Math.min(h / 2, w / Math.sqrt(3));
+      for (let k = 0; k < 6; k++) {
+        const angle = Math.PI / 3 * k + (wide ? 0 : Math.PI / 6);
+        mm.push({ x: size * Math.cos(angle), y: size * Math.sin(angle) });
+      }
+    } else if (shape === 'rounded') {
+      const r = Math.max(0, Math.min(cfg.cornerRadiusMM, w / 2, h / 2));
+      const steps = r > 0 ? Math.round(OUTLINE_CURVE_SEGMENTS / 4) : 0;
+      for (const [sx, sy, start] of [[1, 1, 0], [-1, 1, 0.5], [-1, -1, 1], [1, -1, 1.5]]) {
+        const cx = sx * (w / 2 - r), cy = sy * (h / 2 - r);
+        for (let k = 0; k <= steps; k++) {
+          const angle = Math.PI * (start + 0.5 * k / steps);
+          mm.push({ x: cx + r * Math.cos(angle), y: cy + r * Math.sin(angle) });
+        }
+      }
+    } else {
+      throw new Error(`Unknown outline shape: ${shape}`);
+    }
+    
+    return mm.map(p => ({ x: 0.5 + p.x / w, y: 0.5 + p.y / h }));
+  }
+  
+  // Even-odd point-in-outline test. Edges are bucketed into horizontal bands
+  // so each query only crosses the edges spanning its row.
+  static insideTest(loops) {
+    const edges = [];
+    let minY = Infinity, maxY = -Infinity;
+    for (const loop of loops) {
+      for (let k = 0; k < loop.length; k++) {
+        const a = loop[k], b = loop[(k + 1) % loop.length];
+        edges.push([a, b]);
+        minY = Math.min(minY, a.y);
+        maxY = Math.max(maxY, a.y);
+      }
+    }
+    
+    const bandCount = Math.max(1, Math.ceil(Math.sqrt(edges.length)));
+    const bandHeight = (maxY - minY) / bandCount || 1;
+    const bandOf = (y) => Math.min(bandCount - 1, Math.max(0, Math.floor((y - minY) / bandHeight)));
+    const bands = Array.from({ length: bandCount }, () => []);
+    for (const edge of edges) {
+      const [a, b] = edge;
+      for (let band = bandOf(Math.min(a.y, b.y)); band <= bandOf(Math.max(a.y, b.y)); band++) {
+        bands[band].push(edge);
+      }
+    }
+    
+    return (x, y) => {
+      if (y < minY || y > maxY) return false;
+      let inside = false;
+      for (const [a, b] of bands[bandOf(y)]) {
+        if ((a.y > y) !== (b.y > y) && x < a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y)) inside = !inside;
+      }
+      return inside;
+    };
+  }
+  
+  // Spacing of outline points around (x, y): lattices keep their cell size
+  // (measured in print proportions), samplers the local Poisson radius, the
+  // same spacing they give the rectangle's border
+  static outlineSpacing(analyzer, cfg, mask, x, y) {
+    if (this.isLattice(cfg)) return 1 / cfg.cellDensity;
+    const scale = this.cellScale(
+      analyzer.getBrightness(x, y, cfg), analyzer.getEdgeStrength(x, y), cfg, this.maskScale(mask, x, y, cfg)
+    );
+    return 0.5 * scale / cfg.cellDensity;
+  }
+  
+  // Cut a generated point set to the outline (see outlineLoops): the
+  // rectangle's border points and everything outside or crowding the outline
+  // are dropped, and evenly spaced outline points are added with the
+  // outline's edges as segments. Returns { points, segments, outline }, where
+  // outline lists each loop's point indices (null without an outline).
+  static applyOutline({ points, segments }, analyzer, cfg) {
+    const loops = this.outlineLoops(analyzer, cfg);
+    if (!loops) return { points, segments, outline: null };
+    
+    const yScale = this.isLattice(cfg) ? cfg.outputHeightMM / cfg.outputWidthMM : 1;
+    const distance = (a, b) => Math.hypot(b.x - a.x, (b.y - a.y) * yScale);
+    const mask = DetailMask.fromConfig(cfg);
+    
+    // Resample each loop: corners kept, and the stretch between two corners
+    // divided at the local spacing by length along the loop itself, so points
+    // land on curves rather than on the simplified chords. Points crowding
+    // their neighbour (between close corners) are dropped.
+    const sampled = [];
+    for (const loop of loops) {
+      const closed = [...loop, loop[0]];
+      const corners = analyzer.simplifyPolyline(closed, 0.1 / cfg.cellDensity);
+      
+      // The simplified points are the loop's own, in order
+      const cornerIndex = [];
+      for (let i = 0; i < closed.length && cornerIndex.length < corners.length; i++) {
+        if (closed[i] === corners[cornerIndex.length]) cornerIndex.push(i);
+      }
+      
+      const ring = [];
+      for (let k = 0; k + 1 < cornerIndex.length; k++) {
+        const span = closed.slice(cornerIndex[k], cornerIndex[k + 1] + 1);
+        const lengths = [0];
+        for (let i = 1; i < span.length; i++) lengths.push(lengths[i - 1] + distance(span[i - 1], span[i]));
+        const total = lengths[lengths.length - 1];
+        
+        const middle = span[Math.floor(span.length / 2)];
+        const spacing = this.outlineSpacing(analyzer, cfg, mask, middle.x, middle.y);
+        const count = Math.max(1, Math.round(total / spacing));
+        let i = 1;
+        for (let j = 0; j < count; j++) {
+          const target = total * j / count;
+          while (i < span.length - 1 && lengths[i] < target) i++;
+          const a = span[i - 1], b = span[i];
+          const t = (target - lengths[i - 1]) / (lengths[i] - lengths[i - 1] || 1);
+          const p = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, spacing };
+          const last = ring[ring.length - 1];
+          if (!last || distance(last, p) >= 0.5 * Math.min(spacing, last.spacing)) ring.push(p);
+        }
+      }
+      while (ring.length > 3 && distance(ring[ring.length - 1], ring[0]) < 0.5 * ring[0].spacing) ring.pop();
+      if (ring.length >= 3) sampled.push(ring);
+    }
+    
+    // Bucket outline edges with their clearance for the crowding test
+    const cellSize = 1 / cfg.cellDensity;
+    const grid = new Map();
+    const cellKey = (cx, cy) => `${cx},${cy}`;
+    for (const ring of sampled) {
+      for (let k = 0; k < ring.length; k++) {
+        const a = ring[k], b = ring[(k + 1) % ring.length];
+        const clearance = 0.5 * Math.max(a.spacing, b.spacing);
+        const minCX = Math.floor((Math.min(a.x, b.x) - clearance) / cellSize);
+        const maxCX = Math.floor((Math.max(a.x, b.x) + clearance) / cellSize);
+        const minCY = Math.floor((Math.min(a.y, b.y) - clearance) / cellSize);
+        const maxCY = Math.floor((Math.max(a.y, b.y) + clearance) / cellSize);
+        
+        for (let cy = minCY; cy <= maxCY; cy++) {
+          for (let cx = minCX; cx <= maxCX; cx++) {
+            const key = cellKey(cx, cy);
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push([a, b, clearance]);
+          }
+        }
+      }
+    }
+    
+    const crowds = (p) => {
+      const edges = grid.get(cellKey(Math.floor(p.x / cellSize), Math.floor(p.y / cellSize)));
+      if (!edges) return false;
+      return edges.some(([a, b, clearance]) => {
+        const dx = b.x - a.x, dy = (b.y - a.y) * yScale;
+        const len2 = dx * dx + dy * dy;
+        const t = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * yScale * dy) / len2)) : 0;
+        return Math.hypot(p.x - a.x - t * dx, (p.y - a.y) * yScale - t * dy) < clearance;
+      });
+    };
+    
+    const inside = this.insideTest(sampled);
+    const kept = points.filter(p => !p.isBoundary && inside(p.x, p.y) && !crowds(p));
+    
+    const remap = new Map(kept.map((p, index) => [p, index]));
+    const carried = [];
+    for (const [a, b] of segments) {
+      const ra = remap.get(points[a]), rb = remap.get(points[b]);
+      if (ra !== undefined && rb !== undefined) carried.push([ra, rb]);
+    }
+    
+    // Outline edges go first so they win over any segment crossing them
+    const interior = kept.length;
+    const outlineSegments = [];
+    const outline = sampled.map(ring => {
+      const first = kept.length;
+      return ring.map((p, k) => {
+        kept.push({ x: p.x, y: p.y, brightness: analyzer.getBrightness(p.x, p.y, cfg), isEdge: false, isBoundary: true });
+        outlineSegments.push([first + k, first + (k + 1) % ring.length]);
+        return first + k;
+      });
+    });
+    
+    console.log(`Outline: ${outline.length} loops, ${kept.length - interior} outline points, ${points.length - interior} points cut`);
+    return { points: kept, segments: [...outlineSegments, ...carried], outline };
+  }
+  
+  // Pick the layout from cfg.pointStrategy: 'grid', 'poisson', 'anisotropic'
+  // (Poisson stretched along contours), or a lattice
+  // ('hex', 'square', 'rotated'). Returns { points, segments }, where
+  // segments are index pairs of edges the triangulation must keep (the
+  // square lattices' diagonals).
+  // onProgress(fraction) reports sampling and placement progress
+  static generate(analyzer, cfg, onProgress = null) {
+    if (this.isLattice(cfg)) return this.generateLattice(analyzer, cfg);
+    
+    const points = cfg.pointStrategy === 'poisson' || cfg.pointStrategy === 'anisotropic'
+      ? this.generatePoisson(analyzer, cfg, onProgress)
+      : this.generateGrid(analyzer, cfg, onProgress);
+    return { points, segments: [] };
+  }
+  
+  // Facets a point set turns into: 2n - h - 2 triangles for n points with h
+  // on the hull (the border points), or one Voronoi cell per point
+  static facetsForPoints(pointCount, boundaryCount, cfg) {
+    if (cfg.facetShape === 'voronoi') return pointCount;
+    return Math.max(0, 2 * pointCount - boundaryCount - 2);
+  }
+  
+  static countFacets(points, cfg) {
+    return this.facetsForPoints(points.length, points.filter(p => p.isBoundary).length, cfg);
+  }
+  
+  // Point count model without placing any points: about
+  // interior * cellDensity^2 + border * cellDensity. The samplers' packing
+  // is integrated over a coarse sample of the image (constants fitted to
+  // their output); lattices follow from their geometry.
+  static pointCountModel(analyzer, cfg) {
+    const aspect = cfg.outputHeightMM / cfg.outputWidthMM;
+    const res = 96;
+    
+    // A cut-out only fills the inside of its outline, and its border runs
+    // along the outline
+    const loops = this.outlineLoops(analyzer, cfg);
+    const inside = loops ? this.insideTest(loops) : null;
+    const outlineBorder = () => {
+      const mask = DetailMask.fromConfig(cfg);
+      const yScale = this.isLattice(cfg) ? aspect : 1;
+      let border = 0;
+      for (const loop of loops) {
+        for (let k = 0; k < loop.length; k++) {
+          const a = loop[k], b = loop[(k + 1) % loop.length];
+          const spacing = this.outlineSpacing(analyzer, cfg, mask, (a.x + b.x) / 2, (a.y + b.y) / 2);
+          border += Math.hypot(b.x - a.x, (b.y - a.y) * yScale) / (spacing * cfg.cellDensity);
+        }
+      }
+      return border;
+    };
+    
+    if (this.isLattice(cfg)) {
+      const perCell = cfg.pointStrategy === 'hex' ? 2 / Math.sqrt(3) : 1;
+      if (!loops) return { interior: perCell * aspect, border: 2 * (1 + aspect) };
+      
+      let covered = 0;
+      for (let j = 0; j < res; j++) {
+        for (let i = 0; i < res; i++) {
+          if (inside((i + 0.5) / res, (j + 0.5) / res)) covered++;
+        }
+      }
+      return { interior: perCell * aspect * covered / (res * res), border: outlineBorder() };
+    }
+    
+    // Anisotropic spacing keeps each point's area, so it packs like Poisson
+    const poisson = cfg.pointStrategy === 'poisson' || cfg.pointStrategy === 'anisotropic';
+    const edgeExtras = cfg.edgeSensitivity > 0.5;
+    const mask = DetailMask.fromConfig(cfg);
+    const minPoissonScale = (cfg.adaptiveSizing ? Math.min(1, cfg.minCellScale) : 1) / (1 + cfg.edgeSensitivity) /
+      (mask ? cfg.maskStrength : 1);
+    let perCandidate = 0;
+    
+    for (let j = 0; j < res; j++) {
+      for (let i = 0; i < res; i++) {
+        const x = (i + 0.5) / res, y = (j + 0.5) / res;
+        if (inside && !inside(x, y)) continue;
+        
+        const brightness = analyzer.getBrightness(x, y, cfg);
+        const edge = analyzer.getEdgeStrength(x, y);
+        const maskScale = this.maskScale(mask, x, y, cfg);
+        
+        if (poisson) {
+          // Disks of the local radius pack at ~0.61 per radius squared
+          const scale = Math.max(minPoissonScale, this.cellScale(brightness, edge, cfg, maskScale));
+          perCandidate += 0.61 / (scale * scale);
+        } else {
+          // Accepted share of the candidate grid, plus extra edge points.
+          // More-detail cells sample candidates twice as finely.
+          const sub = maskScale < 1 ? 2 : 1;
+          const scale = (cfg.adaptiveSizing ? cfg.minCellScale + (cfg.maxCellScale - cfg.minCellScale) * brightness : 1) *
+            maskScale * sub;
+          const cube = scale * scale * scale;
+          perCandidate += sub * sub / (1 + 0.39 * cube);
+          if (edgeExtras && edge > 0.4) perCandidate += 1.4 / (1 + 4 * cube);
+        }
+      }
+    }
+    
+    // Candidates sit half a cell apart: four per cell
+    const interior = 4 * perCandidate / (res * res);
+    
+    if (loops) return { interior, border: outlineBorder() };
+    if (!poisson) return { interior, border: 10 };
+    
+    // Poisson border points are spaced by the local radius (half a cell)
+    let border = 0;
+    for (let k = 0; k < res; k++) {
+      const t = (k + 0.5) / res;
+      for (const [x, y] of [[t, 0], [t, 1], [0, t], [1, t]]) {
+        const scale = this.cellScale(
+          analyzer.getBrightness(x, y, cfg), analyzer.getEdgeStrength(x, y), cfg, this.maskScale(mask, x, y, cfg)
+        );
+        border += 2 / scale / res;
+      }
+    }
+    return { interior, border };
+  }
+  
+  // Predicted facet count for cfg (before edge locking and refinement)
+  static estimateFacetCount(analyzer, cfg) {
+    const { interior, border } = this.pointCountModel(analyzer, cfg);
+    const d = cfg.cellDensity;
+    return Math.round(this.facetsForPoints(interior * d * d + border * d, border * d, cfg));
+  }
+  
+  // Density the model predicts for cfg.facetBudget facets
+  static estimateDensityForBudget(analyzer, cfg) {
+    const { interior, border } = this.pointCountModel(analyzer, cfg);
+    const [lo, hi] = BUDGET_DENSITY_RANGE;
+    
+    // Facets are a*d^2 + b*d + c; take the positive root
+    const voronoi = cfg.facetShape === 'voronoi';
+    const a = voronoi ? interior : 2 * interior;
+    const b = border;
+    const c = (voronoi ? 0 : -2) - cfg.facetBudget;
+    const d = (-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+    return Math.max(lo, Math.min(hi, d));
+  }
+  
+  // Generate with the cellDensity that lands closest to cfg.facetBudget.
+  // The model gives the first guess; each later pass fits
+  // facets ~ density^p through the last two passes. Refinement (minAngle)
+  // adds its Steiner points after sampling, so with it on every pass is
+  // refined and counted as it will be built. Returns the closest pass as
+  // { points, segments, cellDensity, facets }.
+  static generateForBudget(analyzer, cfg, onProgress = null) {
+    const target = cfg.facetBudget;
+    const [lo, hi] = BUDGET_DENSITY_RANGE;
+    let density = this.estimateDensityForBudget(analyzer, cfg);
+    let exponent = 2;
+    let previous = null;
+    let best = null;
+    let passes = 0;
+    
+    const countPass = ({ points, segments }) => {
+      if (!(cfg.minAngle > 0)) return this.countFacets(points, cfg);
+      const refined = Delaunay.triangulateRefined(points, cfg.facetShape === 'voronoi' ? [] : segments, {
+        minAngle: cfg.minAngle,
+        minEdge: cfg.minEdgeMM,
+        scaleX: cfg.outputWidthMM,
+        scaleY: cfg.outputHeightMM
+      });
+      return this.countFacets(refined.points, cfg);
+    };
+    
+    while (passes < BUDGET_MAX_PASSES) {
+      const pass = passes++;
+      const passProgress = onProgress ? (f) => onProgress((pass + f) / BUDGET_MAX_PASSES) : null;
+      const passCfg = { ...cfg, cellDensity: density };
+      const { points, segments } = this.generate(analyzer, passCfg, passProgress);
+      const facets = countPass(this.applyOutline({ points, segments }, analyzer, passCfg));
+      const error = Math.abs(facets - target) / target;
+      
+      if (!best || error < best.error) best = { points, segments, cellDensity: density, facets, error };
+      if (error <= BUDGET_TOLERANCE) break;
+      
+      if (previous && previous.facets !== facets) {
+        const fitted = Math.log(facets / previous.facets) / Math.log(density / previous.density);
+        exponent = Math.max(1, Math.min(3, fitted));
+      }
+      previous = { density, facets };
+      density = Math.max(lo, Math.min(hi, density * (target / facets) ** (1 / exponent)));
+      if (density === previous.density) break;
+    }
+    
+    if (onProgress) onProgress(1);
+    console.log(`Facet budget ${target}: density ${best.cellDensity.toFixed(1)} gives ${best.facets} facets after ${passes} passes`);
+    
+    const { points, segments, cellDensity, facets } = best;
+    return { points, segments, cellDensity, facets };
+  }
+  
+  // Priority grid: walk a candidate grid, placing edge and high-contrast
+  // candidates first and rejecting any too close to an accepted point
+  static generateGrid(analyzer, cfg, onProgress = null) {
     const points = [];
     const { cellDensity, edgeSensitivity, jitter, adaptiveSizing, minCellScale, maxCellScale } = cfg;
+    const random = this.createRandom(cfg.seed);
+    const mask = DetailMask.fromConfig(cfg);
     
     // Pre-compute edge map
     analyzer.computeSobel();
@@ -54,8 +509,9 @@ class PointGenerator {
     addPoint(0, 1, analyzer.getBrightness(0, 1, cfg), false, true);
     addPoint(1, 1, analyzer.getBrightness(1, 1, cfg), false, true);
     
-    // Edges
-    for (let t = boundaryStep; t < 1; t += boundaryStep) {
+    // Edges (stopping short of the far corner so float drift can't add a
+    // near-duplicate of it)
+    for (let t = boundaryStep; t < 1 - boundaryStep * 0.5; t += boundaryStep) {
       addPoint(t, 0, analyzer.getBrightness(t, 0, cfg), false, true);
       addPoint(t, 1, analyzer.getBrightness(t, 1, cfg), false, true);
       addPoint(0, t, analyzer.getBrightness(0, t, cfg), false, true);
@@ -68,16 +524,30 @@ class PointGenerator {
     
     // Sample the image to find point candidates
     const sampleStep = baseStep * 0.5;
+    const addCandidate = (x, y) => {
+      const edge = analyzer.getEdgeStrength(x, y);
+      const brightness = analyzer.getBrightness(x, y, cfg);
+      const contrast = analyzer.getLocalContrast(x, y);
+      
+      // Priority: edges first, then high contrast areas
+      const priority = edge * edgeSensitivity + contrast * 0.5;
+      
+      candidates.push({ x, y, brightness, edge, priority, maskScale: this.maskScale(mask, x, y, cfg) });
+    };
+    
     for (let y = sampleStep; y < 1 - sampleStep * 0.5; y += sampleStep) {
+      if (onProgress) onProgress(y * 0.5);
+      
       for (let x = sampleStep; x < 1 - sampleStep * 0.5; x += sampleStep) {
-        const edge = analyzer.getEdgeStrength(x, y);
-        const brightness = analyzer.getBrightness(x, y, cfg);
-        const contrast = analyzer.getLocalContrast(x, y);
-        
-        // Priority: edges first, then high contrast areas
-        const priority = edge * edgeSensitivity + contrast * 0.5;
+        addCandidate(x, y);
         
-        candidates.push({ x, y, brightness, edge, priority });
+        // Painted detail needs candidates finer than the sample step
+        if (candidates[candidates.length - 1].maskScale < 1) {
+          const half = sampleStep * 0.5;
+          if (x + half < 1 - sampleStep * 0.5) addCandidate(x + half, y);
+          if (y + half < 1 - sampleStep * 0.5) addCandidate(x, y + half);
+          if (x + half < 1 - sampleStep * 0.5 && y + half < 1 - sampleStep * 0.5) addCandidate(x + half, y + half);
+        }
       }
     }
     
@@ -85,18 +555,22 @@ class PointGenerator {
     candidates.sort((a, b) => b.priority - a.priority);
     
     // Place points from priority queue
-    for (const cand of candidates) {
-      // Calculate local cell size based on brightness (if adaptive)
-      let localMinDist = minDist;
+    for (let ci = 0; ci < candidates.length; ci++) {
+      const cand = candidates[ci];
+      if (onProgress && (ci & 1023) === 0) onProgress(0.5 + 0.5 * ci / candidates.length);
+      
+      // Calculate local cell size based on brightness (if adaptive) and the
+      // painted mask
+      let localMinDist = minDist * cand.maskScale;
       if (adaptiveSizing) {
         // Darker areas = smaller cells, brighter = larger
         const sizeScale = minCellScale + (maxCellScale - minCellScale) * cand.brightness;
-        localMinDist = minDist * sizeScale;
+        localMinDist *= sizeScale;
       }
       
       // Add jitter
-      const jx = (Math.random() - 0.5) * baseStep * jitter;
-      const jy = (Math.random() - 0.5) * baseStep * jitter;
+      const jx = (random() - 0.5) * baseStep * jitter;
+      const jy = (random() - 0.5) * baseStep * jitter;
       
       const px = Math.max(0.02, Math.min(0.98, cand.x + jx));
       const py = Math.max(0.02, Math.min(0.98, cand.y + jy));
@@ -109,8 +583,8 @@ class PointGenerator {
       if (cand.edge > 0.4 && edgeSensitivity > 0.5) {
         const extraDist = localMinDist * 0.7;
         for (let i = 0; i < 2; i++) {
-          const ex = px + (Math.random() - 0.5) * baseStep;
-          const ey = py + (Math.random() - 0.5) * baseStep;
+          const ex = px + (random() - 0.5) * baseStep;
+          const ey = py + (random() - 0.5) * baseStep;
           
           if (ex > 0.02 && ex < 0.98 && ey > 0.02 && ey < 0.98) {
             if (canPlace(ex, ey, extraDist)) {
@@ -124,27 +598,435 @@ class PointGenerator {
     console.log(`Generated ${points.length} points (${points.filter(p => p.isEdge).length} edge points)`);
     return points;
   }
+  
+  // Variable-radius Poisson-disk sampling (Bridson). Each point keeps a
+  // radius set by brightness (minCellScale..maxCellScale when adaptive) and
+  // shrunk by edge strength; new points are tried in the annulus [r, 2r]
+  // around active points, giving evenly spaced blue noise with no rows.
+  // With pointStrategy 'anisotropic' each radius becomes an ellipse near
+  // edges: tighter across the gradient, longer along the contour (same area),
+  // stretched by anisotropy * edge strength * orientation coherence, so
+  // facets elongate along strands and folds.
+  static generatePoisson(analyzer, cfg, onProgress = null) {
+    const { cellDensity, edgeSensitivity, adaptiveSizing, minCellScale, maxCellScale } = cfg;
+    const random = this.createRandom(cfg.seed);
+    const attempts = 30;
+    
+    analyzer.computeSobel();
+    
+    // Flat mid-grey spacing matches the grid sampler's candidate step
+    const baseRadius = 0.5 / cellDensity;
+    const mask = DetailMask.fromConfig(cfg);
+    const maskRange = mask ? cfg.maskStrength : 1;
+    const lowScale = (adaptiveSizing ? Math.min(1, minCellScale) : 1) / maskRange;
+    const highScale = (adaptiveSizing ? Math.max(1, maxCellScale) : 1) * maskRange;
+    const rMin = baseRadius * lowScale / (1 + edgeSensitivity);
+    const rMax = baseRadius * highScale;
+    
+    const anisotropy = cfg.pointStrategy === 'anisotropic' ? cfg.anisotropy : 0;
+    const maxStretch = 1 + anisotropy * (MAX_ANISOTROPIC_STRETCH - 1);
+    
+    // Longest reach of any spacing ellipse
+    const rReach = rMax * Math.sqrt(maxStretch);
+    
+    const sample = (x, y) => {
+      const brightness = analyzer.getBrightness(x, y, cfg);
+      const edge = analyzer.getEdgeStrength(x, y);
+      const scale = this.cellScale(brightness, edge, cfg, this.maskScale(mask, x, y, cfg));
+      const info = { brightness, edge, radius: Math.max(rMin, baseRadius * scale), stretch: 1 };
+      
+      if (anisotropy > 0 && edge > 0) {
+        const { angle, coherence } = analyzer.getOrientation(x, y, info.radius * 0.5);
+        info.stretch = 1 + anisotropy * (MAX_ANISOTROPIC_STRETCH - 1) * edge * coherence;
+        info.ux = Math.cos(angle);
+        info.uy = Math.sin(angle);
+      }
+      return info;
+    };
+    
+    // Spacing radius of a point towards unit direction (dx, dy): across the
+    // gradient (u) it is radius / sqrt(stretch), along the contour
+    // radius * sqrt(stretch)
+    const radiusToward = (info, dx, dy) => {
+      if (info.stretch === 1) return info.radius;
+      const c = dx * info.ux + dy * info.uy;
+      return info.radius / Math.sqrt(c * c * info.stretch + (1 - c * c) / info.stretch);
+    };
+    
+    // Bucket grid with per-cell linked lists; cells stay small enough that
+    // the neighbourhood search for the largest radius is bounded
+    const cellSize = Math.max(rMin * 2, rMax / 4);
+    const cols = Math.ceil(1 / cellSize) + 1;
+    const rows = cols;
+    const head = new Int32Array(cols * rows).fill(-1);
+    const next = [];
+    const points = [];
+    const infos = [];
+    const active = [];
+    
+    const cellOf = (v) => Math.min(cols - 1, Math.floor(v / cellSize));
+    
+    const addPoint = (x, y, info, isBoundary = false) => {
+      const index = points.length;
+      const cell = cellOf(y) * cols + cellOf(x);
+      const point = { x, y, brightness: info.brightness, isEdge: info.edge > 0.3, isBoundary };
+      
+      // The triangulation reads the spacing frame back
+      if (info.stretch !== 1) Object.assign(point, { stretch: info.stretch, ux: info.ux, uy: info.uy });
+      points.push(point);
+      infos.push(info);
+      next.push(head[cell]);
+      head[cell] = index;
+      active.push(index);
+    };
+    
+    // Two points must sit at least their mean radius apart, so spacing grades
+    // smoothly between fine and coarse regions instead of leaving slivers.
+    // Cells are scanned in rings outward so most rejections exit early.
+    const isFree = (x, y, info) => {
+      const reach = Math.ceil((info.radius * Math.sqrt(info.stretch) + rReach) * 0.5 / cellSize);
+      const cx = cellOf(x), cy = cellOf(y);
+      
+      for (let ring = 0; ring <= reach; ring++) {
+        for (let gy = cy - ring; gy <= cy + ring; gy++) {
+          if (gy < 0 || gy >= rows) continue;
+          
+          // Inner rows of the ring only have their two end cells
+          const step = (gy === cy - ring || gy === cy + ring) ? 1 : Math.max(1, ring * 2);
+          for (let gx = cx - ring; gx <= cx + ring; gx += step) {
+            if (gx < 0 || gx >= cols) continue;
+            
+            for (let i = head[gy * cols + gx]; i !== -1; i = next[i]) {
+              const dx = points[i].x - x, dy = points[i].y - y;
+              const other = infos[i];
+              
+              let spacing;
+              if (info.stretch === 1 && other.stretch === 1) {
+                spacing = (info.radius + other.radius) * 0.5;
+              } else {
+                const length = Math.hypot(dx, dy) || 1;
+                spacing = (radiusToward(info, dx / length, dy / length) + radiusToward(other, dx / length, dy / length)) * 0.5;
+              }
+              if (dx * dx + dy * dy < spacing * spacing) return false;
+            }
+          }
+        }
+      }
+      return true;
+    };
+    
+    // Seed with the corners and border points spaced by the local radius;
+    // they also serve as the initial active list
+    for (const [x, y] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+      addPoint(x, y, sample(x, y), true);
+    }
+    const borders = [
+      t => [t, 0], t => [t, 1], t => [0, t], t => [1, t]
+    ];
+    for (const at of borders) {
+      let t = sample(...at(0)).radius;
+      while (t < 1) {
+        const [x, y] = at(t);
+        const info = sample(x, y);
+        if (1 - t < info.radius * 0.5) break;
+        addPoint(x, y, info, true);
+        t += info.radius;
+      }
+    }
+    
+    let processed = 0;
+    while (active.length > 0) {
+      if (onProgress && (processed & 1023) === 0) onProgress(processed / (processed + active.length));
+      processed++;
+      
+      const slot = Math.floor(random() * active.length);
+      const parent = points[active[slot]];
+      const parentInfo = infos[active[slot]];
+      const parentRadius = parentInfo.radius;
+      let placed = false;
+      
+      for (let k = 0; k < attempts; k++) {
+        const angle = random() * Math.PI * 2;
+        const dist = parentRadius * (1 + random());
+        let x = parent.x + Math.cos(angle) * dist;
+        let y = parent.y + Math.sin(angle) * dist;
+        
+        // Same annulus, squashed into the parent's ellipse
+        if (parentInfo.stretch !== 1) {
+          const s = Math.sqrt(parentInfo.stretch);
+          const across = Math.cos(angle) * dist / s;
+          const along = Math.sin(angle) * dist * s;
+          x = parent.x + across * parentInfo.ux - along * parentInfo.uy;
+          y = parent.y + across * parentInfo.uy + along * parentInfo.ux;
+        }
+        if (x <= 0 || x >= 1 || y <= 0 || y >= 1) continue;
+        
+        const info = sample(x, y);
+        
+        // Keep half a radius off the border to avoid slivers along it
+        const margin = info.radius * 0.5;
+        if (x < margin || x > 1 - margin || y < margin || y > 1 - margin) continue;
+        
+        if (isFree(x, y, info)) {
+          addPoint(x, y, info);
+          placed = true;
+          break;
+        }
+      }
+      
+      // Retire exhausted points by swapping in the last active one
+      if (!placed) {
+        active[slot] = active[active.length - 1];
+        active.pop();
+      }
+    }
+    
+    console.log(`${anisotropy > 0 ? 'Anisotropic' : 'Poisson'} sampling: ${points.length} points (${points.filter(p => p.isEdge).length} edge points)`);
+    return points;
+  }
+  
+  // Regular lattice with cellDensity cells across the width, laid out in
+  // print proportions so cells stay regular in mm:
+  //   hex:     equilateral (isometric) triangles
+  //   square:  square cells split along one diagonal
+  //   rotated: square cells turned by latticeAngle
+  // Square diagonals alternate or, with latticeDiagonal 'brightness', join
+  // the closer-toned corners so folds run along the image's contours. The
+  // border gets its own evenly spaced points and lattice points crowding it
+  // are dropped, so cells along the edge are clipped rather than slivered.
+  static generateLattice(analyzer, cfg) {
+    const aspect = cfg.outputHeightMM / cfg.outputWidthMM;
+    const step = 1 / cfg.cellDensity;
+    const margin = step * 0.3;
+    const hex = cfg.pointStrategy === 'hex';
+    const angle = cfg.pointStrategy === 'rotated' ? cfg.latticeAngle * Math.PI / 180 : 0;
+    
+    // Lattice axes in print space (x across, y scaled by aspect)
+    const ux = { x: Math.cos(angle) * step, y: Math.sin(angle) * step };
+    const uy = hex
+      ? { x: step * 0.5, y: step * Math.sqrt(3) / 2 }
+      : { x: -Math.sin(angle) * step, y: Math.cos(angle) * step };
+    
+    const points = [];
+    const segments = [];
+    const lattice = new Map();
+    
+    const addPoint = (x, y, isBoundary = false) => {
+      points.push({ x, y, brightness: analyzer.getBrightness(x, y, cfg), isEdge: false, isBoundary });
+      return points.length - 1;
+    };
+    
+    // Border points, evenly dividing each side
+    const sides = [
+      { length: 1, at: t => [t, 0] },
+      { length: 1, at: t => [1 - t, 1] },
+      { length: aspect, at: t => [0, 1 - t] },
+      { length: aspect, at: t => [1, t] }
+    ];
+    for (const [x, y] of [[0, 0], [1, 0], [0, 1], [1, 1]]) addPoint(x, y, true);
+    for (const side of sides) {
+      const count = Math.max(1, Math.round(side.length / step));
+      for (let k = 1; k < count; k++) {
+        addPoint(...side.at(k / count), true);
+      }
+    }
+    
+    // Lattice points centred on the print, kept clear of the border
+    const reach = Math.ceil(Math.hypot(1, aspect) / step) + 1;
+    const cx = 0.5, cy = aspect * 0.5;
+    for (let j = -reach; j <= reach; j++) {
+      for (let i = -reach; i <= reach; i++) {
+        // Hex rows shift by half a cell per row; rewrap i to stay centred
+        const ii = hex ? i - Math.floor(j / 2) : i;
+        const x = cx + ii * ux.x + j * uy.x;
+        const y = cy + ii * ux.y + j * uy.y;
+        if (x < margin || x > 1 - margin || y < margin || y > aspect - margin) continue;
+        
+        lattice.set(`${ii},${j}`, addPoint(x, y / aspect));
+      }
+    }
+    
+    // Square cells: force one diagonal per complete cell
+    if (!hex) {
+      for (const key of lattice.keys()) {
+        const [i, j] = key.split(',').map(Number);
+        const a = lattice.get(key);
+        const b = lattice.get(`${i + 1},${j}`);
+        const c = lattice.get(`${i + 1},${j + 1}`);
+        const d = lattice.get(`${i},${j + 1}`);
+        if (a === undefined || b === undefined || c === undefined || d === undefined) continue;
+        
+        let mainDiagonal;
+        if (cfg.latticeDiagonal === 'brightness') {
+          const tone = (index) => points[index].brightness;
+          mainDiagonal = Math.abs(tone(a) - tone(c)) <= Math.abs(tone(b) - tone(d));
+        } else {
+          mainDiagonal = ((i + j) & 1) === 0;
+        }
+        segments.push(mainDiagonal ? [a, c] : [b, d]);
+      }
+    }
+    
+    console.log(`Lattice (${cfg.pointStrategy}): ${points.length} points, ${segments.length} diagonals`);
+    return { points, segments };
+  }
 }
 
 
 // Main geometry generator
 class GeometryGenerator {
-  static generate(analyzer, cfg) {
+  // secondAnalyzer: optional second image for the dual-image relief method,
+  // or the depth map for the hybrid method
+  // onProgress(stage, fraction): stage is 'points' or 'triangulation'
+  static generate(analyzer, cfg, secondAnalyzer = null, onProgress = null) {
     console.log('=== Starting geometry generation ===');
     const startTime = performance.now();
     
-    // Generate adaptive point distribution
-    const points = PointGenerator.generate(analyzer, cfg);
+    const report = (stage) => onProgress ? (fraction) => onProgress(stage, fraction) : null;
+    const { points, segments, outline } = this.generatePoints(analyzer, cfg, report('points'));
+    const geometry = this.triangulate(points, segments, outline, analyzer, cfg, secondAnalyzer, report('triangulation'));
+    
+    const totalTime = performance.now() - startTime;
+    geometry.stats.generationTime = totalTime;
+    console.log(`=== Generation complete: ${totalTime.toFixed(0)}ms ===`);
+    
+    return geometry;
+  }
+  
+  // Stage 1: adaptive point distribution, plus constraint segments (index
+  // pairs into points) when edges are locked to the image, and the outline
+  // loops of a cut-out relief (see PointGenerator.applyOutline)
+  static generatePoints(analyzer, cfg, onProgress = null) {
+    const startTime = performance.now();
+    
+    const relaxing = cfg.relaxIterations > 0;
+    const sampleProgress = onProgress && relaxing ? (fraction) => onProgress(fraction * 0.5) : onProgress;
+    
+    let points, segments;
+    if (cfg.facetBudget > 0) {
+      // Later steps space themselves by the density the budget settled on
+      let cellDensity;
+      ({ points, segments, cellDensity } = PointGenerator.generateForBudget(analyzer, cfg, sampleProgress));
+      cfg = { ...cfg, cellDensity };
+    } else {
+      ({ points, segments } = PointGenerator.generate(analyzer, cfg, sampleProgress));
+    }
     console.log(`Point generation: ${(performance.now() - startTime).toFixed(0)}ms`);
     
-    // Triangulate using Delaunay
+    // Relaxing a lattice would only blur it
+    if (relaxing && !PointGenerator.isLattice(cfg)) {
+      const relaxProgress = onProgress ? (fraction) => onProgress(0.5 + fraction * 0.5) : null;
+      this.relaxPoints(points, analyzer, cfg, relaxProgress);
+    }
+    
+    // Optionally lock facet edges to traced image contours
+    if (cfg.constrainEdges) {
+      ({ points, segments } = this.addContourConstraints(points, analyzer, cfg, segments));
+    }
+    
+    // Cut to the outline last, clearing anything the steps above placed
+    // outside or against it
+    return PointGenerator.applyOutline({ points, segments }, analyzer, cfg);
+  }
+  
+  // Stage 2: Delaunay triangulation and per-facet brightness. Facets are the
+  // triangles themselves, or with facetShape 'voronoi' the dual Voronoi cells
+  // clipped to the unit square (convex polygons). With an outline (loops of
+  // point indices) only the facets inside it are kept, and cells are cut to
+  // it (see outlineClipper).
+  static triangulate(points, segments, outline, analyzer, cfg, secondAnalyzer = null, onProgress = null) {
     const triStart = performance.now();
-    const triangles = Delaunay.triangulate(points);
+    const voronoi = cfg.facetShape === 'voronoi';
+    let triangles;
+    let constrainedEdges = 0;
+    let insertedPoints = 0;
+    let refinementConverged = true;
+    
+    const inside = outline ? PointGenerator.insideTest(outline.map(loop => loop.map(i => points[i]))) : null;
+    
+    // Voronoi cells need the true Delaunay dual, so constraints are dropped
+    if (voronoi && segments.length > 0) {
+      console.log(`Voronoi facets: ignoring ${segments.length} constraint segments`);
+    }
+    
+    if (cfg.minAngle > 0) {
+      // Quality refinement: Steiner points lift the smallest angle, measured in mm
+      const result = Delaunay.triangulateRefined(points, voronoi ? [] : segments, {
+        minAngle: cfg.minAngle,
+        minEdge: cfg.minEdgeMM,
+        scaleX: cfg.outputWidthMM,
+        scaleY: cfg.outputHeightMM,
+        onProgress
+      });
+      
+      // New points sample the image like any other
+      for (const p of result.points.slice(points.length)) {
+        p.brightness = analyzer.getBrightness(p.x, p.y, cfg);
+        p.isEdge = false;
+      }
+      
+      points = result.points;
+      triangles = result.triangles;
+      if (voronoi) {
+        // Refinement keeps the triangulation Delaunay in mm, but the cells
+        // are the dual of the one in normalized coordinates. Steiner points
+        // outside the outline would only crowd it (they come last, so the
+        // outline's indices hold).
+        if (inside) points = points.filter(p => !p.isSteiner || inside(p.x, p.y));
+        triangles = Delaunay.triangulate(points);
+      }
+      constrainedEdges = result.constrainedCount;
+      insertedPoints = result.inserted;
+      refinementConverged = result.converged;
+      if (segments.length > 0 && !voronoi) {
+        console.log(`Constraints: ${result.constrainedCount} segments locked, ${result.skippedCount} skipped (crossing)`);
+      }
+      console.log(`Refinement: ${insertedPoints} Steiner points inserted (min angle ${cfg.minAngle}°, min edge ${cfg.minEdgeMM}mm)`);
+    } else if (cfg.pointStrategy === 'anisotropic' && !voronoi) {
+      // Keep the sampler's stretched spacing as stretched triangles
+      const result = Delaunay.triangulateAnisotropic(points, segments, onProgress);
+      triangles = result.triangles;
+      constrainedEdges = result.constrainedCount;
+      if (segments.length > 0) {
+        console.log(`Constraints: ${result.constrainedCount} segments locked, ${result.skippedCount} skipped (crossing)`);
+      }
+    } else if (segments.length > 0 && !voronoi) {
+      const result = Delaunay.triangulateConstrained(points, segments, onProgress);
+      triangles = result.triangles;
+      constrainedEdges = result.constrainedCount;
+      console.log(`Constraints: ${result.constrainedCount} segments locked, ${result.skippedCount} skipped (crossing)`);
+    } else {
+      triangles = Delaunay.triangulate(points, onProgress);
+    }
     console.log(`Triangulation: ${(performance.now() - triStart).toFixed(0)}ms, ${triangles.length} triangles`);
     
+    // Cut-out reliefs keep the facets inside the outline. Its edges are
+    // locked, so each triangle lies wholly on one side. Points along a
+    // straight run of the outline are only collinear up to rounding, though,
+    // and the slivers that leaves between them have no reliable side (or
+    // area), so they go too. Voronoi cells need the full triangulation and
+    // are cut to it further down.
+    if (inside && !voronoi) {
+      triangles = triangles.filter(({ vertices: [a, b, c] }) => {
+        const cross = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+        const longest = Math.max(
+          (b.x - a.x) ** 2 + (b.y - a.y) ** 2, (c.x - b.x) ** 2 + (c.y - b.y) ** 2, (a.x - c.x) ** 2 + (a.y - c.y) ** 2
+        );
+        return Math.abs(cross) > 1e-9 * longest && inside((a.x + b.x + c.x) / 3, (a.y + b.y + c.y) / 3);
+      });
+    }
+    
+    // Aspect ratio is measured in mm so stretched outputs count
+    const scaleX = cfg.outputWidthMM, scaleY = cfg.outputHeightMM;
+    let aspectSum = 0;
+    
     // Calculate per-triangle brightness (use center sampling for accuracy)
     for (const tri of triangles) {
       const [v0, v1, v2] = tri.vertices;
+      aspectSum += this.aspectRatio(
+        (v1.x - v0.x) * scaleX, (v1.y - v0.y) * scaleY,
+        (v2.x - v0.x) * scaleX, (v2.y - v0.y) * scaleY
+      );
       
       // Triangle center
       tri.center = {
@@ -159,21 +1041,659 @@ class GeometryGenerator {
       // Blend center and vertex brightness
       tri.brightness = centerBrightness * 0.6 + vertexBrightness * 0.4;
       
+      // Second image is sampled at the same spot (dual-image relief), a
+      // depth map at every corner (hybrid relief)
+      if (secondAnalyzer && cfg.reliefMethod === 'hybrid') {
+        tri.cornerDepth = tri.vertices.map(v => secondAnalyzer.getDepth(v.x, v.y, cfg));
+      } else if (secondAnalyzer) {
+        tri.secondBrightness = secondAnalyzer.getBrightness(tri.center.x, tri.center.y, cfg);
+      }
+      
       // Check boundary
       tri.isBoundary = v0.isBoundary || v1.isBoundary || v2.isBoundary;
     }
     
-    const totalTime = performance.now() - startTime;
-    console.log(`=== Generation complete: ${totalTime.toFixed(0)}ms ===`);
+    const clip = inside && voronoi ? this.outlineClipper(points, outline, inside) : null;
+    let facets = voronoi ? this.voronoiCells(points, triangles, analyzer, cfg, secondAnalyzer, clip) : triangles;
+    
+    if (inside) {
+      // Cut cells end at the outline; those wholly outside it go
+      if (voronoi) facets = facets.filter(cell => inside(cell.center.x, cell.center.y));
+      
+      // Steiner points and the like that ended up outside go too
+      const used = new Set();
+      for (const facet of facets) {
+        if (facet.site) used.add(facet.site);
+        else facet.vertices.forEach(v => used.add(v));
+      }
+      points = points.filter(p => used.has(p));
+    }
+    
+    // Low-poly mosaic: each facet joins the superpixel under its centre
+    if (cfg.regionCount > 0) {
+      for (const facet of facets) {
+        facet.region = analyzer.getRegion(facet.center.x, facet.center.y);
+      }
+    }
+    
+    // Facets centred in a painted flat area join that area's plane
+    const mask = DetailMask.fromConfig(cfg);
+    if (mask) {
+      for (const facet of facets) {
+        facet.flatRegion = DetailMask.flatRegionAt(mask, facet.center.x, facet.center.y);
+      }
+    }
     
     return {
       points,
       triangles,
+      facets,
       stats: {
         pointCount: points.length,
         triangleCount: triangles.length,
-        generationTime: totalTime
+        facetCount: facets.length,
+        constrainedEdges,
+        insertedPoints,
+        refinementConverged,
+        meanAspectRatio: triangles.length > 0 ? aspectSum / triangles.length : 0,
+        generationTime: performance.now() - triStart
       }
     };
   }
+  
+  // Voronoi cell of every point, built by walking its Delaunay fan and joining
+  // the circumcentres, then clipped to the unit square. Hull points have an
+  // open fan, so both open ends are closed with far points along the outward
+  // bisectors of their hull edges before clipping. An optional clip(site,
+  // polygon) cuts each cell further. Corners take the cell's own brightness so
+  // every cell stays a flat plane under any relief method.
+  static voronoiCells(points, triangles, analyzer, cfg, secondAnalyzer = null, clip = null) {
+    const startTime = performance.now();
+    const far = 10;
+    
+    // outgoing.get(a).get(b): the counter-clockwise triangle with edge a->b
+    const outgoing = new Map(points.map(p => [p, new Map()]));
+    const centreOf = new Map();
+    
+    const neighbours = new Map();
+    for (const tri of triangles) {
+      if (clip) {
+        for (const v of tri.vertices) {
+          if (!neighbours.has(v)) neighbours.set(v, new Set());
+          tri.vertices.forEach(w => neighbours.get(v).add(w));
+        }
+      }
+      
+      const [a, b, c] = this.counterClockwise(tri.vertices);
+      outgoing.get(a).set(b, tri);
+      outgoing.get(b).set(c, tri);
+      outgoing.get(c).set(a, tri);
+      
+      const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+      const a2 = a.x * a.x + a.y * a.y, b2 = b.x * b.x + b.y * b.y, c2 = c.x * c.x + c.y * c.y;
+      centreOf.set(tri, Math.abs(d) < 1e-18 ? tri.center : {
+        x: (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d,
+        y: (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d
+      });
+    }
+    
+    // Vertex after site going counter-clockwise round tri
+    const following = (tri, site) => {
+      const v = this.counterClockwise(tri.vertices);
+      return v[(v.indexOf(site) + 2) % 3];
+    };
+    
+    const cells = [];
+    for (const site of points) {
+      const fanEdges = outgoing.get(site);
+      if (fanEdges.size === 0) continue;
+      
+      // A hull point's fan starts at the edge with no twin
+      let start = null, openFrom = null;
+      for (const [b, tri] of fanEdges) {
+        if (!outgoing.get(b).has(site)) {
+          start = tri;
+          openFrom = b;
+          break;
+        }
+      }
+      if (!start) start = fanEdges.values().next().value;
+      
+      const fan = [];
+      let openTo = null;
+      for (let tri = start; fan.length < fanEdges.size;) {
+        fan.push(tri);
+        const c = following(tri, site);
+        const next = fanEdges.get(c);
+        if (!next) {
+          openTo = c;
+          break;
+        }
+        if (next === start) break;
+        tri = next;
+      }
+      
+      let polygon = fan.map(tri => centreOf.get(tri));
+      if (clip && site.isBoundary) {
+        // A straight run of outline points leaves near-flat slivers whose
+        // orientation and circumcentres are down to rounding, so the fan
+        // walk can't be trusted there. These cells are cut from the square
+        // by the bisector with each neighbour instead.
+        polygon = this.bisectorCell(site, neighbours.get(site));
+      } else if (openFrom) {
+        polygon = [
+          this.hullBisectorPoint(site, openFrom, far),
+          ...polygon,
+          this.hullBisectorPoint(openTo, site, far)
+        ];
+      }
+      
+      polygon = this.clipToUnitSquare(this.counterClockwise(polygon));
+      if (clip && polygon.length >= 3) polygon = clip(site, polygon);
+      if (polygon.length < 3) continue;
+      
+      // Area-weighted centroid for the brightness sample
+      let area = 0, cx = 0, cy = 0;
+      for (let i = 0; i < polygon.length; i++) {
+        const p = polygon[i], q = polygon[(i + 1) % polygon.length];
+        const cross = p.x * q.y - q.x * p.y;
+        area += cross;
+        cx += (p.x + q.x) * cross;
+        cy += (p.y + q.y) * cross;
+      }
+      if (Math.abs(area) < 1e-14) continue;
+      const center = { x: cx / (3 * area), y: cy / (3 * area) };
+      
+      const brightness = analyzer.getBrightness(center.x, center.y, cfg) * 0.6 + site.brightness * 0.4;
+      const cell = {
+        vertices: polygon.map(p => ({ x: p.x, y: p.y, brightness })),
+        center,
+        brightness,
+        site,
+        isBoundary: !!site.isBoundary
+      };
+      if (secondAnalyzer && cfg.reliefMethod === 'hybrid') {
+        // One depth for the whole cell keeps it planar
+        cell.cornerDepth = polygon.map(() => secondAnalyzer.getDepth(center.x, center.y, cfg));
+      } else if (secondAnalyzer) {
+        cell.secondBrightness = secondAnalyzer.getBrightness(center.x, center.y, cfg);
+      }
+      cells.push(cell);
+    }
+    
+    console.log(`Voronoi facets: ${cells.length} cells (${(performance.now() - startTime).toFixed(0)}ms)`);
+    return cells;
+  }
+  
+  // Far point on the outward bisector of hull edge a->b (hull edges run
+  // counter-clockwise, so outside is on the right)
+  static hullBisectorPoint(a, b, far) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len = Math.hypot(dx, dy) || 1;
+    return {
+      x: (a.x + b.x) / 2 + dy / len * far,
+      y: (a.y + b.y) / 2 - dx / len * far
+    };
+  }
+  
+  // Part of the unit square closer to site than to any of neighbours
+  static bisectorCell(site, neighbours) {
+    let polygon = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+    for (const n of neighbours) {
+      if (n === site) continue;
+      const dx = n.x - site.x, dy = n.y - site.y;
+      const mx = (n.x + site.x) / 2, my = (n.y + site.y) / 2;
+      const beyond = p => (p.x - mx) * dx + (p.y - my) * dy;
+      const input = polygon;
+      polygon = [];
+      for (let i = 0; i < input.length; i++) {
+        const p = input[i], q = input[(i + 1) % input.length];
+        const bp = beyond(p), bq = beyond(q);
+        if (bp <= 0) polygon.push(p);
+        if ((bp <= 0) !== (bq <= 0)) {
+          const t = bp / (bp - bq);
+          polygon.push({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t });
+        }
+      }
+      if (polygon.length === 0) break;
+    }
+    return this.mergeCorners(polygon);
+  }
+  
+  static counterClockwise(polygon) {
+    let area = 0;
+    for (let i = 0; i < polygon.length; i++) {
+      const p = polygon[i], q = polygon[(i + 1) % polygon.length];
+      area += p.x * q.y - q.x * p.y;
+    }
+    return area < 0 ? [...polygon].reverse() : polygon;
+  }
+  
+  // Sutherland-Hodgman clip of a convex polygon to [0, 1]^2. Crossing points
+  // are computed from the segment in a fixed order so the two cells sharing
+  // an edge get bit-identical corners; near-duplicate corners are merged.
+  static clipToUnitSquare(polygon) {
+    const planes = [
+      { inside: p => p.x >= 0, cross: (p, q) => this.crossAt(p, q, 'x', 0) },
+      { inside: p => p.x <= 1, cross: (p, q) => this.crossAt(p, q, 'x', 1) },
+      { inside: p => p.y >= 0, cross: (p, q) => this.crossAt(p, q, 'y', 0) },
+      { inside: p => p.y <= 1, cross: (p, q) => this.crossAt(p, q, 'y', 1) }
+    ];
+    
+    let result = polygon;
+    for (const plane of planes) {
+      const input = result;
+      result = [];
+      for (let i = 0; i < input.length; i++) {
+        const p = input[i], q = input[(i + 1) % input.length];
+        const pIn = plane.inside(p), qIn = plane.inside(q);
+        if (pIn) result.push(p);
+        if (pIn !== qIn) result.push(plane.cross(p, q));
+      }
+      if (result.length === 0) return result;
+    }
+    
+    return this.mergeCorners(result);
+  }
+  
+  // Drop corners within 1e-9 of the one before, wrapping round
+  static mergeCorners(polygon) {
+    const merged = [];
+    for (const p of polygon) {
+      const last = merged[merged.length - 1];
+      if (last && Math.abs(last.x - p.x) < 1e-9 && Math.abs(last.y - p.y) < 1e-9) continue;
+      merged.push(p);
+    }
+    while (merged.length > 1) {
+      const a = merged[0], b = merged[merged.length - 1];
+      if (Math.abs(a.x - b.x) >= 1e-9 || Math.abs(a.y - b.y) >= 1e-9) break;
+      merged.pop();
+    }
+    return merged;
+  }
+  
+  // Where segment pq crosses axis = value
+  static crossAt(p, q, axis, value) {
+    const [a, b] = (p.x < q.x || (p.x === q.x && p.y < q.y)) ? [p, q] : [q, p];
+    const t = (value - a[axis]) / (b[axis] - a[axis]);
+    const other = axis === 'x' ? 'y' : 'x';
+    return {
+      [axis]: value,
+      [other]: a[other] + (b[other] - a[other]) * t
+    };
+  }
+  
+  // Clipper (site, polygon) => polygon cutting counter-clockwise Voronoi cells
+  // to the outline (loops of point indices). A cell is cut by each outline
+  // edge running through it. An outline point's own cell instead runs from
+  // where its two edges leave the cell, through the point, and back round
+  // the side of the cell that is inside; behind a concave corner that is no
+  // longer convex, but stays star-shaped from the point. Crossings are
+  // computed from the cell edge in a fixed order so neighbouring cells get
+  // bit-identical corners.
+  static outlineClipper(points, outline, inside) {
+    const orient = (a, b, p) => (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+    const inHalf = (edge, p) => edge.side * orient(edge.a, edge.b, p) >= 0;
+    const cut = (p, q, edge) => {
+      const [s, t] = (p.x < q.x || (p.x === q.x && p.y < q.y)) ? [p, q] : [q, p];
+      const ds = orient(edge.a, edge.b, s), dt = orient(edge.a, edge.b, t);
+      const u = ds / (ds - dt);
+      return { x: s.x + (t.x - s.x) * u, y: s.y + (t.y - s.y) * u };
+    };
+    
+    // Each edge knows which side is inside, probed just off its middle
+    const edges = [];
+    const corners = new Map();
+    for (const loop of outline) {
+      const ring = loop.map(i => points[i]);
+      const ringEdges = ring.map((a, k) => {
+        const b = ring[(k + 1) % ring.length];
+        const dx = (b.x - a.x) * 1e-3, dy = (b.y - a.y) * 1e-3;
+        const side = inside((a.x + b.x) / 2 - dy, (a.y + b.y) / 2 + dx) ? 1 : -1;
+        return { a, b, side };
+      });
+      ring.forEach((p, k) => {
+        const prev = ringEdges[(k + ring.length - 1) % ring.length], next = ringEdges[k];
+        corners.set(p, { prev, next, convex: prev.side * orient(prev.a, p, next.b) > 0 });
+      });
+      edges.push(...ringEdges);
+    }
+    
+    // Bucket edges in a grid over the unit square
+    const grid = Math.max(1, Math.ceil(Math.sqrt(edges.length)));
+    const cellOf = (v) => Math.min(grid - 1, Math.max(0, Math.floor(v * grid)));
+    const buckets = Array.from({ length: grid * grid }, () => []);
+    for (const edge of edges) {
+      const { a, b } = edge;
+      for (let gy = cellOf(Math.min(a.y, b.y)); gy <= cellOf(Math.max(a.y, b.y)); gy++) {
+        for (let gx = cellOf(Math.min(a.x, b.x)); gx <= cellOf(Math.max(a.x, b.x)); gx++) {
+          buckets[gy * grid + gx].push(edge);
+        }
+      }
+    }
+    
+    // Whether the edge itself (not just its line) passes through the
+    // convex polygon
+    const crosses = (polygon, { a, b }) => {
+      let lo = 0, hi = 1;
+      for (let i = 0; i < polygon.length; i++) {
+        const p = polygon[i], q = polygon[(i + 1) % polygon.length];
+        const fa = orient(p, q, a), fb = orient(p, q, b);
+        if (fa < 0 && fb < 0) return false;
+        if (fa < 0) lo = Math.max(lo, fa / (fa - fb));
+        else if (fb < 0) hi = Math.min(hi, fa / (fa - fb));
+      }
+      return hi - lo > 1e-9;
+    };
+    
+    const clipTo = (polygon, edge) => {
+      const result = [];
+      for (let i = 0; i < polygon.length; i++) {
+        const p = polygon[i], q = polygon[(i + 1) % polygon.length];
+        const pIn = inHalf(edge, p), qIn = inHalf(edge, q);
+        if (pIn) result.push(p);
+        if (pIn !== qIn) result.push(cut(p, q, edge));
+      }
+      return this.mergeCorners(result);
+    };
+    
+    const walk = (polygon, site, { prev, next, convex }) => {
+      const inDomain = convex
+        ? p => inHalf(prev, p) && inHalf(next, p)
+        : p => inHalf(prev, p) || inHalf(next, p);
+      
+      // The cell's boundary with the two exits added, heading away from the
+      // site along each edge
+      const boundary = [];
+      let exitPrev = -1, exitNext = -1;
+      for (let i = 0; i < polygon.length; i++) {
+        const p = polygon[i], q = polygon[(i + 1) % polygon.length];
+        boundary.push(p);
+        const exits = [];
+        for (const [edge, end] of [[prev, prev.a], [next, next.b]]) {
+          if (inHalf(edge, p) === inHalf(edge, q)) continue;
+          const x = cut(p, q, edge);
+          if ((x.x - site.x) * (end.x - site.x) + (x.y - site.y) * (end.y - site.y) <= 0) continue;
+          const dp = orient(edge.a, edge.b, p), dq = orient(edge.a, edge.b, q);
+          exits.push({ x, edge, along: dp / (dp - dq) });
+        }
+        exits.sort((e, f) => e.along - f.along);
+        for (const { x, edge } of exits) {
+          if (edge === prev) exitPrev = boundary.length;
+          else exitNext = boundary.length;
+          boundary.push(x);
+        }
+      }
+      if (exitPrev < 0 || exitNext < 0) return convex ? clipTo(clipTo(polygon, prev), next) : polygon;
+      
+      // Keep whichever way round from one exit to the other is inside
+      const arc = (from, to) => {
+        const result = [];
+        for (let i = from; ; i = (i + 1) % boundary.length) {
+          result.push(boundary[i]);
+          if (i === to) return result;
+        }
+      };
+      const p = boundary[exitPrev], q = boundary[(exitPrev + 1) % boundary.length];
+      const kept = inDomain({ x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 })
+        ? arc(exitPrev, exitNext) : arc(exitNext, exitPrev);
+      return this.mergeCorners([...kept, { x: site.x, y: site.y }]);
+    };
+    
+    return (site, polygon) => {
+      let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      for (const p of polygon) {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+      }
+      
+      const corner = corners.get(site);
+      const seen = new Set(corner ? [corner.prev, corner.next] : []);
+      for (let gy = cellOf(minY); gy <= cellOf(maxY); gy++) {
+        for (let gx = cellOf(minX); gx <= cellOf(maxX); gx++) {
+          for (const edge of buckets[gy * grid + gx]) {
+            if (seen.has(edge)) continue;
+            seen.add(edge);
+            if (crosses(polygon, edge)) polygon = clipTo(polygon, edge);
+            if (polygon.length < 3) return [];
+          }
+        }
+      }
+      return corner ? walk(polygon, site, corner) : polygon;
+    };
+  }
+  
+  // Circumradius over twice the inradius for a triangle given by two edge
+  // vectors from one corner: 1 for equilateral, growing without bound for
+  // slivers (Infinity when degenerate)
+  static aspectRatio(ax, ay, bx, by) {
+    const a = Math.hypot(ax, ay);
+    const b = Math.hypot(bx, by);
+    const c = Math.hypot(bx - ax, by - ay);
+    const area2 = Math.abs(ax * by - ay * bx);
+    if (area2 === 0) return Infinity;
+    
+    // R = abc / (4A), r = 2A / (a + b + c)
+    return a * b * c * (a + b + c) / (4 * area2 * area2);
+  }
+  
+  // Brightness-weighted Lloyd relaxation (stippling). Each pass assigns a
+  // raster of samples to their nearest point and moves every interior point
+  // to the weighted centroid of its Voronoi cell. Weights follow the sampler's
+  // density (dark and edge areas pack tighter), raised to relaxWeighting so
+  // 0 gives plain uniform Lloyd. Boundary points stay pinned. Modifies points
+  // in place.
+  static relaxPoints(points, analyzer, cfg, onProgress = null) {
+    const startTime = performance.now();
+    const iterations = Math.round(cfg.relaxIterations);
+    const n = points.length;
+    
+    // About 16 samples per point, capped for memory
+    const res = Math.min(1024, Math.ceil(Math.sqrt(n * 16)));
+    const sampleCount = res * res;
+    const weights = new Float32Array(sampleCount);
+    const mask = DetailMask.fromConfig(cfg);
+    
+    // Samples outside a cut-out's outline weigh nothing, so cells near it
+    // centre on the part that is kept
+    const loops = PointGenerator.outlineLoops(analyzer, cfg);
+    const inside = loops ? PointGenerator.insideTest(loops) : null;
+    for (let sy = 0; sy < res; sy++) {
+      for (let sx = 0; sx < res; sx++) {
+        const x = (sx + 0.5) / res, y = (sy + 0.5) / res;
+        if (inside && !inside(x, y)) continue;
+        
+        const scale = PointGenerator.cellScale(
+          analyzer.getBrightness(x, y, cfg), analyzer.getEdgeStrength(x, y), cfg,
+          PointGenerator.maskScale(mask, x, y, cfg)
+        );
+        weights[sy * res + sx] = Math.pow(1 / (scale * scale), cfg.relaxWeighting);
+      }
+    }
+    
+    // Bucket grid of points for nearest-point queries, rebuilt each pass
+    const cells = Math.max(1, Math.floor(Math.sqrt(n)));
+    const head = new Int32Array(cells * cells);
+    const next = new Int32Array(n);
+    const cellOf = (v) => Math.min(cells - 1, Math.floor(v * cells));
+    
+    const sumX = new Float64Array(n);
+    const sumY = new Float64Array(n);
+    const sumW = new Float64Array(n);
+    
+    const nearest = (x, y) => {
+      const cx = cellOf(x), cy = cellOf(y);
+      let best = -1, bestDist = Infinity;
+      
+      for (let ring = 0; ring < cells; ring++) {
+        // Nothing in this ring or beyond can beat the current best
+        const ringDist = (ring - 1) / cells;
+        if (best !== -1 && ringDist > 0 && ringDist * ringDist > bestDist) break;
+        
+        for (let gy = cy - ring; gy <= cy + ring; gy++) {
+          if (gy < 0 || gy >= cells) continue;
+          const step = (gy === cy - ring || gy === cy + ring) ? 1 : Math.max(1, ring * 2);
+          for (let gx = cx - ring; gx <= cx + ring; gx += step) {
+            if (gx < 0 || gx >= cells) continue;
+            
+            for (let i = head[gy * cells + gx]; i !== -1; i = next[i]) {
+              const dx = points[i].x - x, dy = points[i].y - y;
+              const d = dx * dx + dy * dy;
+              if (d < bestDist) {
+                bestDist = d;
+                best = i;
+              }
+            }
+          }
+        }
+      }
+      return best;
+    };
+    
+    const margin = 0.5 / res;
+    let meanShift = 0;
+    
+    for (let iter = 0; iter < iterations; iter++) {
+      if (onProgress) onProgress(iter / iterations);
+      
+      head.fill(-1);
+      for (let i = 0; i < n; i++) {
+        const cell = cellOf(points[i].y) * cells + cellOf(points[i].x);
+        next[i] = head[cell];
+        head[cell] = i;
+      }
+      
+      sumX.fill(0);
+      sumY.fill(0);
+      sumW.fill(0);
+      
+      for (let s = 0; s < sampleCount; s++) {
+        const x = (s % res + 0.5) / res, y = (Math.floor(s / res) + 0.5) / res;
+        const i = nearest(x, y);
+        const w = weights[s];
+        sumX[i] += x * w;
+        sumY[i] += y * w;
+        sumW[i] += w;
+      }
+      
+      let shift = 0, moved = 0;
+      for (let i = 0; i < n; i++) {
+        const p = points[i];
+        if (p.isBoundary || sumW[i] === 0) continue;
+        
+        const x = Math.max(margin, Math.min(1 - margin, sumX[i] / sumW[i]));
+        const y = Math.max(margin, Math.min(1 - margin, sumY[i] / sumW[i]));
+        shift += Math.hypot(x - p.x, y - p.y);
+        moved++;
+        p.x = x;
+        p.y = y;
+      }
+      meanShift = moved > 0 ? shift / moved : 0;
+    }
+    
+    // Refresh per-point samples at the new positions
+    for (const p of points) {
+      if (p.isBoundary) continue;
+      p.brightness = analyzer.getBrightness(p.x, p.y, cfg);
+      p.isEdge = analyzer.getEdgeStrength(p.x, p.y) > 0.3;
+    }
+    
+    console.log(`Relaxation: ${iterations} passes over ${res}x${res} samples, last mean shift ${(meanShift * cfg.cellDensity).toFixed(3)} cells, ${(performance.now() - startTime).toFixed(0)}ms`);
+    return points;
+  }
+  
+  // Trace image contours and add their vertices as points. Nearby sampled
+  // points are removed so they don't form slivers against the contour.
+  // Existing segments (index pairs into points) are carried over, minus any
+  // that lost an end point. Returns the new point list and all segments.
+  static addContourConstraints(points, analyzer, cfg, existingSegments = []) {
+    const contours = analyzer.traceContours(cfg.contourThreshold);
+    
+    const clearance = 0.35 / cfg.cellDensity;
+    const margin = clearance * 0.5;
+    
+    // Bucket contour segments on a coarse grid for the clearance test
+    const cellSize = clearance * 2;
+    const grid = new Map();
+    const cellKey = (cx, cy) => `${cx},${cy}`;
+    
+    const kept = contours.map(contour => {
+      // Drop vertices that crowd the previous one or the image border
+      const result = [];
+      for (const p of contour) {
+        if (p.x < margin || p.x > 1 - margin || p.y < margin || p.y > 1 - margin) continue;
+        const last = result[result.length - 1];
+        if (last && Math.hypot(p.x - last.x, p.y - last.y) < clearance) continue;
+        result.push(p);
+      }
+      return result;
+    }).filter(contour => contour.length >= 2);
+    
+    for (const contour of kept) {
+      for (let i = 1; i < contour.length; i++) {
+        const a = contour[i - 1], b = contour[i];
+        const minCX = Math.floor((Math.min(a.x, b.x) - clearance) / cellSize);
+        const maxCX = Math.floor((Math.max(a.x, b.x) + clearance) / cellSize);
+        const minCY = Math.floor((Math.min(a.y, b.y) - clearance) / cellSize);
+        const maxCY = Math.floor((Math.max(a.y, b.y) + clearance) / cellSize);
+        
+        for (let cy = minCY; cy <= maxCY; cy++) {
+          for (let cx = minCX; cx <= maxCX; cx++) {
+            const key = cellKey(cx, cy);
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push([a, b]);
+          }
+        }
+      }
+    }
+    
+    const distToSegment = (p, a, b) => {
+      const dx = b.x - a.x, dy = b.y - a.y;
+      const len2 = dx * dx + dy * dy;
+      const t = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+      return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    };
+    
+    const filtered = points.filter(p => {
+      if (p.isBoundary) return true;
+      const segs = grid.get(cellKey(Math.floor(p.x / cellSize), Math.floor(p.y / cellSize)));
+      if (!segs) return true;
+      return !segs.some(([a, b]) => distToSegment(p, a, b) < clearance);
+    });
+    
+    const cleared = points.length - filtered.length;
+    
+    // Remap surviving segments onto the filtered list
+    const remap = new Map(filtered.map((p, index) => [p, index]));
+    const segments = [];
+    for (const [a, b] of existingSegments) {
+      const ra = remap.get(points[a]), rb = remap.get(points[b]);
+      if (ra !== undefined && rb !== undefined) segments.push([ra, rb]);
+    }
+    
+    // Append contour vertices and record segments between them
+    const carried = segments.length;
+    for (const contour of kept) {
+      let prev = -1;
+      for (const p of contour) {
+        const index = filtered.length;
+        filtered.push({
+          x: p.x,
+          y: p.y,
+          brightness: analyzer.getBrightness(p.x, p.y, cfg),
+          isEdge: true,
+          isBoundary: false,
+          isContour: true
+        });
+        if (prev >= 0) segments.push([prev, index]);
+        prev = index;
+      }
+    }
+    
+    console.log(`Contours: ${kept.length} traced, ${segments.length - carried} segments, ${cleared} points cleared`);
+    
+    return { points: filtered, segments };
+  }
 }
\ No newline at end of file
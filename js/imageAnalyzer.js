@@ -1,36 +1,355 @@
 // Image analysis with better contrast and edge detection
 
+// Superpixels are found on a copy no larger than this on its long side
+const SLIC_MAX_SIDE = 400;
+const SLIC_ITERATIONS = 10;
+
+// Equalization histograms use one bin per 8-bit level
+const CLAHE_BINS = 256;
+
+// Silhouettes are traced on a copy no larger than this on its long side;
+// subject specks and pinholes smaller than this share of it are cleaned up
+const SILHOUETTE_MAX_SIDE = 512;
+const SILHOUETTE_MIN_AREA = 0.002;
+
 class ImageAnalyzer {
-  constructor(image) {
+  // framing (see framingFromConfig) is applied once here, so everything
+  // downstream only sees the cropped, straightened pixels
+  constructor(image, framing = null) {
     this.image = image;
-    this.width = image.width;
-    this.height = image.height;
+    const size = ImageAnalyzer.framedSize(image.width, image.height, framing);
+    this.width = size.width;
+    this.height = size.height;
     
     // Create canvas and get raw data
     this.canvas = document.createElement('canvas');
-    this.canvas.width = image.width;
-    this.canvas.height = image.height;
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
     this.ctx = this.canvas.getContext('2d');
-    this.ctx.drawImage(image, 0, 0);
-    this.rawData = this.ctx.getImageData(0, 0, image.width, image.height);
+    if (framing) {
+      const source = document.createElement('canvas');
+      source.width = image.width;
+      source.height = image.height;
+      const sourceCtx = source.getContext('2d');
+      sourceCtx.drawImage(image, 0, 0);
+      this.rawData = this.ctx.createImageData(this.width, this.height);
+      ImageAnalyzer.warpPixels(sourceCtx.getImageData(0, 0, image.width, image.height), framing, this.rawData);
+      this.ctx.putImageData(this.rawData, 0, 0);
+    } else {
+      this.ctx.drawImage(image, 0, 0);
+      this.rawData = this.ctx.getImageData(0, 0, this.width, this.height);
+    }
     
-    // Pre-compute grayscale
-    this.grayscale = new Float32Array(image.width * image.height);
+    // Pre-compute grayscale (luminance until updateGrayscale picks a mode)
+    this.grayscale = new Float32Array(this.width * this.height);
     this.computeGrayscale();
     
     // Edge detection cache
     this._edgeMap = null;
     this._sobelX = null;
     this._sobelY = null;
+    
+    // Processed brightness cache (see computeBrightnessMap)
+    this.brightnessMap = null;
+    
+    // CLAHE result for the last tile size and clip limit (see computeEqualized)
+    this._equalized = null;
+    
+    // Local contrast of every pixel, for the image preview
+    this._contrastMap = null;
+    
+    // Superpixel labels (see computeSuperpixels)
+    this.regions = null;
+    
+    // Subject mask and outline for cut-out reliefs (see computeSilhouette)
+    this.silhouette = null;
+  }
+  
+  // Rebuild an analyzer from buffers handed over by another thread (no DOM
+  // access, so this works inside the generation worker)
+  static fromBuffers(buffers) {
+    const analyzer = Object.create(ImageAnalyzer.prototype);
+    analyzer.image = null;
+    analyzer.canvas = null;
+    analyzer.ctx = null;
+    analyzer.rawData = null;
+    analyzer._equalized = null;
+    analyzer._contrastMap = null;
+    analyzer.adoptBuffers(buffers);
+    return analyzer;
+  }
+  
+  // Framing settings from the config, or null when the whole image is used:
+  // corners are the artwork's four corners (TL, TR, BR, BL, 0-1 in the image)
+  // to square up, angle straightens the result (degrees, clockwise), and
+  // crop is a 0-1 rectangle of the straightened frame
+  static framingFromConfig(cfg) {
+    const angle = cfg.straightenAngle || 0;
+    if (!cfg.cropRect && !cfg.perspectiveCorners && !angle) return null;
+    return { corners: cfg.perspectiveCorners || null, angle, crop: cfg.cropRect || null };
   }
   
-  computeGrayscale() {
+  // Pixel size of a framed image. Perspective correction keeps the mean
+  // lengths of the quad's opposite sides; straightening keeps the size.
+  static framedSize(width, height, framing, includeCrop = true) {
+    if (!framing) return { width, height };
+    
+    let w = width, h = height;
+    if (framing.corners) {
+      const [tl, tr, br, bl] = framing.corners;
+      const side = (p, q) => Math.hypot((q.x - p.x) * width, (q.y - p.y) * height);
+      w = (side(tl, tr) + side(bl, br)) / 2;
+      h = (side(tl, bl) + side(tr, br)) / 2;
+    }
+    if (includeCrop && framing.crop) {
+      w *= framing.crop.width;
+      h *= framing.crop.height;
+    }
+    return { width: Math.max(1, Math.round(w)), height: Math.max(1, Math.round(h)) };
+  }
+  
+  // Projective map from the unit square onto a quad (Heckbert's square-to-
+  // quad), corners in TL, TR, BR, BL order
+  static squareToQuad([p0, p1, p2, p3]) {
+    const sx = p0.x - p1.x + p2.x - p3.x;
+    const sy = p0.y - p1.y + p2.y - p3.y;
+    const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x;
+    const dy1 = p1.y - p2.y, dy2 = p3.y - p2.y;
+    const den = dx1 * dy2 - dx2 * dy1 || 1e-12;
+    const g = (sx * dy2 - dx2 * sy) / den;
+    const h = (dx1 * sy - sx * dy1) / den;
+    return [
+      p1.x - p0.x + g * p1.x, p3.x - p0.x + h * p3.x, p0.x,
+      p1.y - p0.y + g * p1.y, p3.y - p0.y + h * p3.y, p0.y,
+      g, h
+    ];
+  }
+  
+  // Map from 0-1 output coordinates to source pixel coordinates, written to
+  // out: crop into the straightened frame, undo the rotation about its
+  // centre (clamping at the frame's edge), then undo the perspective. A null
+  // framing maps straight across.
+  static framingMap(width, height, framing, includeCrop = true) {
+    const frame = ImageAnalyzer.framedSize(width, height, framing, false);
+    const crop = includeCrop && framing?.crop ? framing.crop : { x: 0, y: 0, width: 1, height: 1 };
+    const angle = (framing?.angle || 0) * Math.PI / 180;
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const [a, b, c, d, e, f, g, h] = framing?.corners
+      ? ImageAnalyzer.squareToQuad(framing.corners)
+      : [1, 0, 0, 0, 1, 0, 0, 0];
+    
+    return (u, v, out) => {
+      const dx = (crop.x + u * crop.width - 0.5) * frame.width;
+      const dy = (crop.y + v * crop.height - 0.5) * frame.height;
+      const ru = Math.max(0, Math.min(1, (cos * dx + sin * dy) / frame.width + 0.5));
+      const rv = Math.max(0, Math.min(1, (cos * dy - sin * dx) / frame.height + 0.5));
+      const w = g * ru + h * rv + 1;
+      out[0] = (a * ru + b * rv + c) / w * width;
+      out[1] = (d * ru + e * rv + f) / w * height;
+      return out;
+    };
+  }
+  
+  // Inverse of framingMap: source pixel coordinates to 0-1 output
+  // coordinates, outside 0-1 where the framing cuts the point away
+  static framingInverse(width, height, framing) {
+    const frame = ImageAnalyzer.framedSize(width, height, framing, false);
+    const crop = framing?.crop || { x: 0, y: 0, width: 1, height: 1 };
+    const angle = (framing?.angle || 0) * Math.PI / 180;
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const [a, b, c, d, e, f, g, h] = framing?.corners
+      ? ImageAnalyzer.squareToQuad(framing.corners)
+      : [1, 0, 0, 0, 1, 0, 0, 0];
+    
+    // The adjugate of the square-to-quad matrix takes the quad back
+    const ia = e - f * h, ib = c * h - b, ic = b * f - c * e;
+    const id = f * g - d, ie = a - c * g, iff = c * d - a * f;
+    const ig = d * h - e * g, ih = b * g - a * h, ii = a * e - b * d;
+    
+    return (x, y, out) => {
+      const px = x / width, py = y / height;
+      const w = ig * px + ih * py + ii;
+      const fx = ((ia * px + ib * py + ic) / w - 0.5) * frame.width;
+      const fy = ((id * px + ie * py + iff) / w - 0.5) * frame.height;
+      const dx = cos * fx - sin * fy, dy = sin * fx + cos * fy;
+      out[0] = (dx / frame.width + 0.5 - crop.x) / crop.width;
+      out[1] = (dy / frame.height + 0.5 - crop.y) / crop.height;
+      return out;
+    };
+  }
+  
+  // Resample RGBA pixels ({ data, width, height }) through a framing into
+  // out, bilinearly
+  static warpPixels(src, framing, out, includeCrop = true) {
+    const map = ImageAnalyzer.framingMap(src.width, src.height, framing, includeCrop);
+    const s = src.data, o = out.data;
+    const pos = [0, 0];
+    
+    for (let y = 0; y < out.height; y++) {
+      for (let x = 0; x < out.width; x++) {
+        map((x + 0.5) / out.width, (y + 0.5) / out.height, pos);
+        const fx = Math.max(0, Math.min(src.width - 1, pos[0] - 0.5));
+        const fy = Math.max(0, Math.min(src.height - 1, pos[1] - 0.5));
+        const x0 = Math.floor(fx), y0 = Math.floor(fy);
+        const x1 = Math.min(src.width - 1, x0 + 1), y1 = Math.min(src.height - 1, y0 + 1);
+        const wx = fx - x0, wy = fy - y0;
+        const i00 = (y0 * src.width + x0) * 4, i10 = (y0 * src.width + x1) * 4;
+        const i01 = (y1 * src.width + x0) * 4, i11 = (y1 * src.width + x1) * 4;
+        const target = (y * out.width + x) * 4;
+        for (let ch = 0; ch < 4; ch++) {
+          const top = s[i00 + ch] * (1 - wx) + s[i10 + ch] * wx;
+          const bottom = s[i01 + ch] * (1 - wx) + s[i11 + ch] * wx;
+          o[target + ch] = top * (1 - wy) + bottom * wy;
+        }
+      }
+    }
+    return out;
+  }
+  
+  // Grayscale and Sobel buffers for postMessage; list their ArrayBuffers as
+  // transferables so they move instead of being copied
+  toBuffers() {
+    return {
+      width: this.width,
+      height: this.height,
+      grayscale: this.grayscale,
+      sobelX: this._sobelX,
+      sobelY: this._sobelY,
+      edgeMap: this._edgeMap,
+      brightnessMap: this.brightnessMap,
+      regions: this.regions,
+      silhouette: this.silhouette
+    };
+  }
+  
+  static transferList(buffers) {
+    return [
+      buffers.grayscale, buffers.sobelX, buffers.sobelY, buffers.edgeMap, buffers.brightnessMap,
+      buffers.regions && buffers.regions.labels, buffers.silhouette && buffers.silhouette.mask
+    ]
+      .filter(Boolean)
+      .map(array => array.buffer);
+  }
+  
+  adoptBuffers({ width, height, grayscale, sobelX, sobelY, edgeMap, brightnessMap, regions, silhouette }) {
+    this.width = width;
+    this.height = height;
+    this.grayscale = grayscale;
+    this._sobelX = sobelX || null;
+    this._sobelY = sobelY || null;
+    this._edgeMap = edgeMap || null;
+    this.brightnessMap = brightnessMap || null;
+    this.regions = regions || null;
+    this.silhouette = silhouette || null;
+  }
+  
+  // Recompute buffers that were transferred away and never came back
+  // (e.g. the worker was cancelled)
+  restoreBuffers() {
+    if (this.grayscale.length === this.width * this.height) return;
+    
+    this.grayscale = new Float32Array(this.width * this.height);
+    this.computeGrayscale(this.grayscaleSettings);
+    this._edgeMap = null;
+    this._sobelX = null;
+    this._sobelY = null;
+    this.brightnessMap = null;
+    this.regions = null;
+    this.silhouette = null;
+  }
+  
+  // The grayscale settings in cfg (see computeGrayscale)
+  static grayscaleSettings(cfg) {
+    const mode = cfg.grayscaleMode || 'luminance';
+    if (mode === 'mixer') return { grayscaleMode: mode, mixerRed: cfg.mixerRed, mixerGreen: cfg.mixerGreen, mixerBlue: cfg.mixerBlue };
+    if (mode === 'hue') return { grayscaleMode: mode, hueCenter: cfg.hueCenter, hueWidth: cfg.hueWidth };
+    return { grayscaleMode: mode };
+  }
+  
+  // Recompute the grayscale when cfg asks for a different mode, dropping
+  // everything derived from it. Needs rawData, so it runs on the main thread
+  // and the result travels to the worker with the other buffers. Returns
+  // whether anything changed.
+  updateGrayscale(cfg) {
+    const settings = ImageAnalyzer.grayscaleSettings(cfg);
+    if (JSON.stringify(settings) === JSON.stringify(this.grayscaleSettings)) return false;
+    
+    this.computeGrayscale(settings);
+    this._edgeMap = null;
+    this._sobelX = null;
+    this._sobelY = null;
+    this._equalized = null;
+    this._contrastMap = null;
+    this.brightnessMap = null;
+    this.silhouette = null;
+    return true;
+  }
+  
+  // Single channel every later stage (tone curve, Sobel, contrast) reads, in
+  // 0-1, from cfg.grayscaleMode:
+  //   'luminance'  - Rec.601 luma
+  //   'lightness'  - CIE L* (perceptual lightness)
+  //   'mixer'      - mixerRed / mixerGreen / mixerBlue weights, normalized
+  //                  to sum to 1
+  //   'saturation' - HSV saturation
+  //   'hue'        - closeness to hueCenter (within hueWidth degrees either
+  //                  side), scaled by chroma so greys stay dark
+  computeGrayscale(cfg = {}) {
+    const mode = cfg.grayscaleMode || 'luminance';
     const data = this.rawData.data;
-    for (let i = 0; i < this.grayscale.length; i++) {
-      const idx = i * 4;
-      // Luminance
-      this.grayscale[i] = (0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2]) / 255;
+    const gray = this.grayscale;
+    
+    if (mode === 'luminance') {
+      for (let i = 0; i < gray.length; i++) {
+        const idx = i * 4;
+        gray[i] = (0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2]) / 255;
+      }
+    } else if (mode === 'lightness') {
+      // sRGB to linear per 8-bit level, then relative luminance Y to L*
+      const linear = new Float32Array(256);
+      for (let v = 0; v < 256; v++) {
+        const c = v / 255;
+        linear[v] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+      }
+      for (let i = 0; i < gray.length; i++) {
+        const idx = i * 4;
+        const y = 0.2126 * linear[data[idx]] + 0.7152 * linear[data[idx + 1]] + 0.0722 * linear[data[idx + 2]];
+        const f = y > 216 / 24389 ? Math.cbrt(y) : (24389 / 27 * y + 16) / 116;
+        gray[i] = (116 * f - 16) / 100;
+      }
+    } else if (mode === 'mixer') {
+      const sum = cfg.mixerRed + cfg.mixerGreen + cfg.mixerBlue;
+      const [r, g, b] = sum > 0 ? [cfg.mixerRed / sum, cfg.mixerGreen / sum, cfg.mixerBlue / sum] : [0, 0, 0];
+      for (let i = 0; i < gray.length; i++) {
+        const idx = i * 4;
+        gray[i] = (r * data[idx] + g * data[idx + 1] + b * data[idx + 2]) / 255;
+      }
+    } else if (mode === 'saturation' || mode === 'hue') {
+      for (let i = 0; i < gray.length; i++) {
+        const idx = i * 4;
+        const red = data[idx], green = data[idx + 1], blue = data[idx + 2];
+        const max = Math.max(red, green, blue), min = Math.min(red, green, blue);
+        const chroma = max - min;
+        if (mode === 'saturation') {
+          gray[i] = max > 0 ? chroma / max : 0;
+          continue;
+        }
+        if (chroma === 0) {
+          gray[i] = 0;
+          continue;
+        }
+        
+        let hue = max === red ? (green - blue) / chroma : max === green ? 2 + (blue - red) / chroma : 4 + (red - green) / chroma;
+        hue = (hue * 60 + 360) % 360;
+        const offset = Math.abs(hue - cfg.hueCenter) % 360;
+        const distance = Math.min(offset, 360 - offset);
+        gray[i] = Math.max(0, 1 - distance / cfg.hueWidth) * chroma / 255;
+      }
+    } else {
+      throw new Error(`Unknown grayscale mode: ${mode}`);
     }
+    
+    this.grayscaleSettings = ImageAnalyzer.grayscaleSettings(cfg);
   }
   
   // Get raw brightness at pixel coords
@@ -39,12 +358,148 @@ class ImageAnalyzer {
     return this.grayscale[py * this.width + px];
   }
   
-  // Get processed brightness at normalized coordinates (0-1)
+  // Get processed brightness at normalized coordinates (0-1). Reads the
+  // cached map when one has been computed for the current settings.
   getBrightness(nx, ny, cfg = {}) {
     const px = Math.floor(nx * (this.width - 1));
     const py = Math.floor(ny * (this.height - 1));
     
-    let brightness = this.getRawBrightness(px, py);
+    if (this.brightnessMap && px >= 0 && px < this.width && py >= 0 && py < this.height) {
+      return this.brightnessMap[py * this.width + px];
+    }
+    
+    if (!cfg.equalize) return this.processBrightness(this.getRawBrightness(px, py), cfg);
+    
+    const inside = px >= 0 && px < this.width && py >= 0 && py < this.height;
+    return this.processBrightness(inside ? this.toneSource(cfg)[py * this.width + px] : 0, cfg);
+  }
+  
+  // Precompute processed brightness for every pixel. getBrightness then reads
+  // the map and ignores its cfg argument, so the caller must recompute (or
+  // clearBrightnessMap) whenever the image settings change.
+  computeBrightnessMap(cfg) {
+    const source = this.toneSource(cfg);
+    const map = new Float32Array(this.width * this.height);
+    for (let i = 0; i < map.length; i++) {
+      map[i] = this.processBrightness(source[i], cfg);
+    }
+    this.brightnessMap = map;
+    return map;
+  }
+  
+  clearBrightnessMap() {
+    this.brightnessMap = null;
+  }
+  
+  // Values the tone curve starts from: grayscale, or its CLAHE equalization
+  // when cfg.equalize is set
+  toneSource(cfg = {}) {
+    if (!cfg.equalize) return this.grayscale;
+    return this.computeEqualized(cfg.claheTileSize, cfg.claheClipLimit);
+  }
+  
+  // Contrast-limited adaptive histogram equalization of the grayscale. Each
+  // tile's histogram is clipped at clipLimit times its mean bin and the excess
+  // spread evenly before building its CDF; pixels blend the CDFs of the four
+  // nearest tile centres so tile borders don't show. tileSize is a percentage
+  // of the image's long side. Cached for the last parameters.
+  computeEqualized(tileSize = 12, clipLimit = 2) {
+    const key = `${tileSize}|${clipLimit}`;
+    if (this._equalized && this._equalized.key === key) return this._equalized.values;
+    
+    const w = this.width, h = this.height;
+    const side = Math.max(8, Math.round(Math.max(w, h) * tileSize / 100));
+    const tilesX = Math.max(1, Math.round(w / side));
+    const tilesY = Math.max(1, Math.round(h / side));
+    const gray = this.grayscale;
+    const bin = (v) => Math.min(CLAHE_BINS - 1, Math.floor(v * CLAHE_BINS));
+    
+    // Per-tile lookup from bin to equalized value
+    const maps = new Float32Array(tilesX * tilesY * CLAHE_BINS);
+    const hist = new Float64Array(CLAHE_BINS);
+    for (let ty = 0; ty < tilesY; ty++) {
+      const y0 = Math.floor(ty * h / tilesY), y1 = Math.floor((ty + 1) * h / tilesY);
+      for (let tx = 0; tx < tilesX; tx++) {
+        const x0 = Math.floor(tx * w / tilesX), x1 = Math.floor((tx + 1) * w / tilesX);
+        const count = (x1 - x0) * (y1 - y0);
+        hist.fill(0);
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) hist[bin(gray[y * w + x])]++;
+        }
+        
+        const limit = Math.max(1, clipLimit * count / CLAHE_BINS);
+        let excess = 0;
+        for (let b = 0; b < CLAHE_BINS; b++) {
+          if (hist[b] > limit) {
+            excess += hist[b] - limit;
+            hist[b] = limit;
+          }
+        }
+        
+        const share = excess / CLAHE_BINS;
+        const offset = (ty * tilesX + tx) * CLAHE_BINS;
+        let cdf = 0;
+        for (let b = 0; b < CLAHE_BINS; b++) {
+          cdf += hist[b] + share;
+          maps[offset + b] = count > 0 ? cdf / count : (b + 0.5) / CLAHE_BINS;
+        }
+      }
+    }
+    
+    // Bilinear blend between tile centres, clamped at the outer half-tiles
+    const values = new Float32Array(w * h);
+    const tileW = w / tilesX, tileH = h / tilesY;
+    for (let y = 0; y < h; y++) {
+      const fy = Math.max(0, Math.min(tilesY - 1, (y + 0.5) / tileH - 0.5));
+      const ty0 = Math.floor(fy), ty1 = Math.min(tilesY - 1, ty0 + 1), wy = fy - ty0;
+      for (let x = 0; x < w; x++) {
+        const fx = Math.max(0, Math.min(tilesX - 1, (x + 0.5) / tileW - 0.5));
+        const tx0 = Math.floor(fx), tx1 = Math.min(tilesX - 1, tx0 + 1), wx = fx - tx0;
+        const b = bin(gray[y * w + x]);
+        const top = maps[(ty0 * tilesX + tx0) * CLAHE_BINS + b] * (1 - wx) +
+                    maps[(ty0 * tilesX + tx1) * CLAHE_BINS + b] * wx;
+        const bottom = maps[(ty1 * tilesX + tx0) * CLAHE_BINS + b] * (1 - wx) +
+                       maps[(ty1 * tilesX + tx1) * CLAHE_BINS + b] * wx;
+        values[y * w + x] = top * (1 - wy) + bottom * wy;
+      }
+    }
+    
+    this._equalized = { key, values };
+    return values;
+  }
+  
+  // Black and white points at the low and high percentiles of the tone
+  // source, for auto levels. Rounded to the level sliders' step.
+  histogramLevels(cfg = {}, low = 0.005, high = 0.995) {
+    const source = this.toneSource(cfg);
+    const hist = new Uint32Array(CLAHE_BINS);
+    for (let i = 0; i < source.length; i++) {
+      hist[Math.min(CLAHE_BINS - 1, Math.floor(source[i] * CLAHE_BINS))]++;
+    }
+    
+    let black = 0, white = CLAHE_BINS - 1, seen = 0;
+    for (let b = 0; b < CLAHE_BINS; b++) {
+      seen += hist[b];
+      if (seen <= low * source.length) black = b + 1;
+      if (seen < high * source.length) white = b + 1;
+    }
+    
+    const blackPoint = Math.floor(black / CLAHE_BINS * 100) / 100;
+    const whitePoint = Math.ceil(Math.min(CLAHE_BINS, white + 1) / CLAHE_BINS * 100) / 100;
+    // A nearly flat image keeps at least a small input range
+    if (whitePoint - blackPoint < 0.05) return { blackPoint: 0, whitePoint: 1 };
+    return { blackPoint, whitePoint };
+  }
+  
+  // Levels, gamma, contrast, brightness shift and invert applied to a raw value
+  processBrightness(brightness, cfg = {}) {
+    // Map the black/white points to 0 and 1
+    const black = cfg.blackPoint || 0;
+    const white = cfg.whitePoint ?? 1;
+    if (black !== 0 || white !== 1) {
+      brightness = (brightness - black) / Math.max(0.01, white - black);
+      brightness = Math.max(0, Math.min(1, brightness));
+    }
     
     // Apply gamma
     const gamma = cfg.gamma || 1.0;
@@ -101,6 +556,23 @@ class ImageAnalyzer {
     return b0 * (1 - fy) + b1 * fy;
   }
   
+  // Depth at normalized coords when this analyzer holds a depth map: the
+  // plain grayscale (no tone curve), bilinear since depth maps are usually
+  // smaller than the photo. White is near unless cfg.invertDepth.
+  getDepth(nx, ny, cfg = {}) {
+    const x = Math.max(0, Math.min(1, nx)) * (this.width - 1);
+    const y = Math.max(0, Math.min(1, ny)) * (this.height - 1);
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, this.width - 1), y1 = Math.min(y0 + 1, this.height - 1);
+    const fx = x - x0, fy = y - y0;
+    
+    const g = this.grayscale, w = this.width;
+    const top = g[y0 * w + x0] * (1 - fx) + g[y0 * w + x1] * fx;
+    const bottom = g[y1 * w + x0] * (1 - fx) + g[y1 * w + x1] * fx;
+    const depth = top * (1 - fy) + bottom * fy;
+    return cfg.invertDepth ? 1 - depth : depth;
+  }
+  
   // Compute Sobel edge detection
   computeSobel() {
     if (this._sobelX) return;
@@ -182,6 +654,44 @@ class ImageAnalyzer {
     };
   }
   
+  // Dominant gradient direction around a point, from the structure tensor of
+  // the Sobel gradients on a 3x3 stencil `radius` apart (normalized units).
+  // Angle is in normalized space, so it stays perpendicular to contours when
+  // the image is stretched onto the unit square. Coherence runs from 0 (no
+  // single direction) to 1 (a clean edge or stripe). Reads the Sobel buffers
+  // like getGradient but without its per-call object, as the anisotropic
+  // sampler calls this for every candidate.
+  getOrientation(nx, ny, radius = 0.01) {
+    this.computeSobel();
+    
+    const w = this.width, h = this.height;
+    let jxx = 0, jxy = 0, jyy = 0;
+    
+    for (let j = -1; j <= 1; j++) {
+      const py = Math.floor((ny + j * radius) * (h - 1));
+      if (py < 1 || py >= h - 1) continue;
+      
+      for (let i = -1; i <= 1; i++) {
+        const px = Math.floor((nx + i * radius) * (w - 1));
+        if (px < 1 || px >= w - 1) continue;
+        
+        const gx = this._sobelX[py * w + px] * (w - 1);
+        const gy = this._sobelY[py * w + px] * (h - 1);
+        jxx += gx * gx;
+        jxy += gx * gy;
+        jyy += gy * gy;
+      }
+    }
+    
+    const trace = jxx + jyy;
+    if (trace <= 0) return { angle: 0, coherence: 0 };
+    
+    return {
+      angle: 0.5 * Math.atan2(2 * jxy, jxx - jyy),
+      coherence: Math.sqrt((jxx - jyy) * (jxx - jyy) + 4 * jxy * jxy) / trace
+    };
+  }
+  
   // Get local contrast (variance in neighborhood)
   getLocalContrast(nx, ny, radius = 0.02) {
     const cx = Math.floor(nx * (this.width - 1));
@@ -211,6 +721,568 @@ class ImageAnalyzer {
     return Math.sqrt(Math.max(0, variance));
   }
   
+  // getLocalContrast for every pixel, from summed-area tables of the
+  // grayscale and its square, scaled so the strongest pixel is 1. Cached.
+  computeLocalContrastMap(radius = 0.02) {
+    if (this._contrastMap && this._contrastMap.radius === radius) return this._contrastMap.values;
+    
+    const w = this.width, h = this.height;
+    const r = Math.max(1, Math.floor(radius * Math.min(w, h)));
+    const sums = new Float64Array((w + 1) * (h + 1));
+    const squares = new Float64Array((w + 1) * (h + 1));
+    for (let y = 0; y < h; y++) {
+      let rowSum = 0, rowSquare = 0;
+      for (let x = 0; x < w; x++) {
+        const v = this.grayscale[y * w + x];
+        rowSum += v;
+        rowSquare += v * v;
+        const i = (y + 1) * (w + 1) + x + 1;
+        sums[i] = sums[i - w - 1] + rowSum;
+        squares[i] = squares[i - w - 1] + rowSquare;
+      }
+    }
+    
+    const values = new Float32Array(w * h);
+    let max = 0;
+    for (let y = 0; y < h; y++) {
+      const y0 = Math.max(0, y - r), y1 = Math.min(h, y + r + 1);
+      for (let x = 0; x < w; x++) {
+        const x0 = Math.max(0, x - r), x1 = Math.min(w, x + r + 1);
+        const a = y0 * (w + 1) + x0, b = y0 * (w + 1) + x1;
+        const c = y1 * (w + 1) + x0, d = y1 * (w + 1) + x1;
+        const count = (x1 - x0) * (y1 - y0);
+        const mean = (sums[d] - sums[b] - sums[c] + sums[a]) / count;
+        const meanSquare = (squares[d] - squares[b] - squares[c] + squares[a]) / count;
+        const std = Math.sqrt(Math.max(0, meanSquare - mean * mean));
+        values[y * w + x] = std;
+        max = Math.max(max, std);
+      }
+    }
+    
+    if (max > 0) {
+      for (let i = 0; i < values.length; i++) values[i] /= max;
+    }
+    
+    this._contrastMap = { radius, values };
+    return values;
+  }
+  
+  // SLIC superpixels (Achanta et al.) on the RGB data: about `count` compact
+  // regions of similar colour. Pixels are clustered in CIELAB plus position,
+  // each centre only searching a window two grid steps wide; compactness
+  // trades colour fidelity (low) for regular shapes (high). Fragments are
+  // then merged into a neighbour so every label is one connected region.
+  // Needs rawData, so it runs on the main thread; the labels travel to the
+  // worker with the other buffers. Cached per count and compactness.
+  computeSuperpixels(count, compactness = 10) {
+    if (this.regions && this.regions.requested === count && this.regions.compactness === compactness) {
+      return this.regions;
+    }
+    if (!this.rawData) throw new Error('Superpixels need the image pixels');
+    
+    const startTime = performance.now();
+    const scale = Math.min(1, SLIC_MAX_SIDE / Math.max(this.width, this.height));
+    const w = Math.max(1, Math.round(this.width * scale));
+    const h = Math.max(1, Math.round(this.height * scale));
+    const n = w * h;
+    
+    // CIELAB at the working resolution
+    const lab = new Float32Array(n * 3);
+    const data = this.rawData.data;
+    for (let y = 0; y < h; y++) {
+      const sy = Math.min(this.height - 1, Math.floor((y + 0.5) / scale));
+      for (let x = 0; x < w; x++) {
+        const sx = Math.min(this.width - 1, Math.floor((x + 0.5) / scale));
+        const src = (sy * this.width + sx) * 4;
+        ImageAnalyzer.rgbToLab(data[src], data[src + 1], data[src + 2], lab, (y * w + x) * 3);
+      }
+    }
+    
+    // Seed centres on a grid, nudged to the lowest gradient in their 3x3
+    const step = Math.max(1, Math.sqrt(n / Math.max(1, count)));
+    const centres = [];
+    const colourStep = (i, j) => {
+      let d = 0;
+      for (let c = 0; c < 3; c++) d += (lab[i * 3 + c] - lab[j * 3 + c]) ** 2;
+      return d;
+    };
+    for (let gy = step / 2; gy < h; gy += step) {
+      for (let gx = step / 2; gx < w; gx += step) {
+        let bx = Math.floor(gx), by = Math.floor(gy), best = Infinity;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const x = Math.floor(gx) + dx, y = Math.floor(gy) + dy;
+            if (x < 1 || x >= w - 1 || y < 1 || y >= h - 1) continue;
+            const g = colourStep(y * w + x + 1, y * w + x - 1) + colourStep((y + 1) * w + x, (y - 1) * w + x);
+            if (g < best) {
+              best = g;
+              bx = x;
+              by = y;
+            }
+          }
+        }
+        const i = by * w + bx;
+        centres.push({ l: lab[i * 3], a: lab[i * 3 + 1], b: lab[i * 3 + 2], x: bx, y: by });
+      }
+    }
+    
+    // k-means restricted to each centre's window
+    const labels = new Int32Array(n).fill(-1);
+    const distance = new Float32Array(n);
+    const spatial = (compactness / step) ** 2;
+    const reach = Math.ceil(step);
+    
+    for (let iter = 0; iter < SLIC_ITERATIONS; iter++) {
+      distance.fill(Infinity);
+      
+      centres.forEach((centre, k) => {
+        const x0 = Math.max(0, Math.floor(centre.x - reach)), x1 = Math.min(w - 1, Math.ceil(centre.x + reach));
+        const y0 = Math.max(0, Math.floor(centre.y - reach)), y1 = Math.min(h - 1, Math.ceil(centre.y + reach));
+        
+        for (let y = y0; y <= y1; y++) {
+          for (let x = x0; x <= x1; x++) {
+            const i = y * w + x;
+            const dl = lab[i * 3] - centre.l, da = lab[i * 3 + 1] - centre.a, db = lab[i * 3 + 2] - centre.b;
+            const dx = x - centre.x, dy = y - centre.y;
+            const d = dl * dl + da * da + db * db + (dx * dx + dy * dy) * spatial;
+            if (d < distance[i]) {
+              distance[i] = d;
+              labels[i] = k;
+            }
+          }
+        }
+      });
+      
+      // Move centres to the mean of their pixels
+      const sums = new Float64Array(centres.length * 6);
+      for (let i = 0; i < n; i++) {
+        const k = labels[i];
+        if (k < 0) continue;
+        const o = k * 6;
+        sums[o] += lab[i * 3];
+        sums[o + 1] += lab[i * 3 + 1];
+        sums[o + 2] += lab[i * 3 + 2];
+        sums[o + 3] += i % w;
+        sums[o + 4] += Math.floor(i / w);
+        sums[o + 5]++;
+      }
+      centres.forEach((centre, k) => {
+        const o = k * 6, c = sums[o + 5];
+        if (c === 0) return;
+        centre.l = sums[o] / c;
+        centre.a = sums[o + 1] / c;
+        centre.b = sums[o + 2] / c;
+        centre.x = sums[o + 3] / c;
+        centre.y = sums[o + 4] / c;
+      });
+    }
+    
+    // Connectivity: flood each component; small ones join the neighbour
+    // they touch first, everything is relabelled 0..regionCount-1
+    const final = new Int32Array(n).fill(-1);
+    const minSize = Math.max(1, Math.floor(n / Math.max(1, centres.length) / 4));
+    const stack = [];
+    const component = [];
+    let next = 0;
+    
+    for (let start = 0; start < n; start++) {
+      if (final[start] !== -1) continue;
+      
+      const label = labels[start];
+      let adjacent = -1;
+      component.length = 0;
+      stack.push(start);
+      final[start] = next;
+      
+      while (stack.length > 0) {
+        const i = stack.pop();
+        component.push(i);
+        const x = i % w, y = (i - x) / w;
+        
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+          const nx = x + dx, ny = y + dy;
+          if (nx < 0 || nx >= w || ny < 0 || ny >= h) continue;
+          const j = ny * w + nx;
+          
+          if (final[j] === -1 && labels[j] === label) {
+            final[j] = next;
+            stack.push(j);
+          } else if (final[j] !== -1 && final[j] !== next && adjacent === -1) {
+            adjacent = final[j];
+          }
+        }
+      }
+      
+      if (component.length < minSize && adjacent !== -1) {
+        for (const i of component) final[i] = adjacent;
+      } else {
+        next++;
+      }
+    }
+    
+    this.regions = { labels: final, width: w, height: h, count: next, requested: count, compactness };
+    console.log(`Superpixels: ${next} regions (${count} requested) at ${w}x${h}, ${(performance.now() - startTime).toFixed(0)}ms`);
+    return this.regions;
+  }
+  
+  // Superpixel label at normalized coords, or -1 before computeSuperpixels
+  getRegion(nx, ny) {
+    if (!this.regions) return -1;
+    
+    const { labels, width, height } = this.regions;
+    const px = Math.min(width - 1, Math.max(0, Math.floor(nx * width)));
+    const py = Math.min(height - 1, Math.max(0, Math.floor(ny * height)));
+    return labels[py * width + px];
+  }
+  
+  // Key of the silhouette settings in cfg (see computeSilhouette)
+  static silhouetteKey(cfg) {
+    const mode = cfg.silhouetteMode || 'off';
+    if (mode === 'flood') return `flood|${cfg.silhouetteColor}|${cfg.silhouetteTolerance}`;
+    // The brightness threshold applies to the chosen grayscale
+    if (mode === 'brightness') return `${mode}|${cfg.silhouetteThreshold}|${JSON.stringify(ImageAnalyzer.grayscaleSettings(cfg))}`;
+    return `${mode}|${cfg.silhouetteThreshold}`;
+  }
+  
+  // Subject mask for a cut-out relief, from cfg.silhouetteMode:
+  //   'alpha'      - pixels at least silhouetteThreshold opaque
+  //   'brightness' - pixels darker than silhouetteThreshold (light backdrop)
+  //   'flood'      - everything except the silhouetteColor background
+  //                  (within silhouetteTolerance) reached from the border,
+  //                  so enclosed patches of that colour stay solid
+  // Specks and pinholes under SILHOUETTE_MIN_AREA are cleaned up, then the
+  // outline is traced with marching squares into closed loops ({x, y} in
+  // normalized coords; holes are loops too, inside is even-odd). Needs
+  // rawData, so it runs on the main thread like computeSuperpixels.
+  computeSilhouette(cfg) {
+    const key = ImageAnalyzer.silhouetteKey(cfg);
+    if (this.silhouette && this.silhouette.key === key) return this.silhouette;
+    if (!this.rawData) throw new Error('Silhouettes need the image pixels');
+    
+    const startTime = performance.now();
+    const scale = Math.min(1, SILHOUETTE_MAX_SIDE / Math.max(this.width, this.height));
+    const w = Math.max(1, Math.round(this.width * scale));
+    const h = Math.max(1, Math.round(this.height * scale));
+    const n = w * h;
+    const data = this.rawData.data;
+    const sourceIndex = (i) => {
+      const x = i % w, y = (i - x) / w;
+      const sx = Math.min(this.width - 1, Math.floor((x + 0.5) / scale));
+      const sy = Math.min(this.height - 1, Math.floor((y + 0.5) / scale));
+      return sy * this.width + sx;
+    };
+    
+    // 1. Subject pixels at the working resolution
+    const mask = new Uint8Array(n);
+    if (cfg.silhouetteMode === 'flood') {
+      const hex = parseInt((cfg.silhouetteColor || '#ffffff').slice(1), 16);
+      const r = hex >> 16, g = (hex >> 8) & 255, b = hex & 255;
+      const limit = cfg.silhouetteTolerance * Math.sqrt(3) * 255;
+      const background = (i) => {
+        const s = sourceIndex(i) * 4;
+        return Math.hypot(data[s] - r, data[s + 1] - g, data[s + 2] - b) <= limit;
+      };
+      
+      mask.fill(1);
+      const stack = [];
+      const visit = (i) => {
+        if (mask[i] && background(i)) {
+          mask[i] = 0;
+          stack.push(i);
+        }
+      };
+      for (let x = 0; x < w; x++) {
+        visit(x);
+        visit((h - 1) * w + x);
+      }
+      for (let y = 0; y < h; y++) {
+        visit(y * w);
+        visit(y * w + w - 1);
+      }
+      while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % w;
+        if (x > 0) visit(i - 1);
+        if (x < w - 1) visit(i + 1);
+        if (i >= w) visit(i - w);
+        if (i < n - w) visit(i + w);
+      }
+    } else {
+      for (let i = 0; i < n; i++) {
+        const s = sourceIndex(i);
+        mask[i] = cfg.silhouetteMode === 'alpha'
+          ? (data[s * 4 + 3] >= cfg.silhouetteThreshold * 255 ? 1 : 0)
+          : (this.grayscale[s] < cfg.silhouetteThreshold ? 1 : 0);
+      }
+    }
+    
+    // 2. Flip small islands of either value: stray subject pixels vanish and
+    // pinholes fill, unless a background patch reaches the border
+    const minArea = Math.max(4, Math.round(n * SILHOUETTE_MIN_AREA));
+    const labels = new Int32Array(n).fill(-1);
+    const stack = [];
+    for (let start = 0; start < n; start++) {
+      if (labels[start] !== -1) continue;
+      
+      const value = mask[start];
+      const members = [start];
+      let touchesBorder = false;
+      labels[start] = start;
+      stack.push(start);
+      while (stack.length > 0) {
+        const i = stack.pop();
+        const x = i % w, y = (i - x) / w;
+        if (x === 0 || y === 0 || x === w - 1 || y === h - 1) touchesBorder = true;
+        for (const j of [x > 0 ? i - 1 : -1, x < w - 1 ? i + 1 : -1, y > 0 ? i - w : -1, y < h - 1 ? i + w : -1]) {
+          if (j >= 0 && labels[j] === -1 && mask[j] === value) {
+            labels[j] = start;
+            members.push(j);
+            stack.push(j);
+          }
+        }
+      }
+      
+      if (members.length < minArea && (value === 1 || !touchesBorder)) {
+        for (const i of members) mask[i] = 1 - value;
+      }
+    }
+    
+    // 3. Marching squares over pixel centres, with a background ring around
+    // the image so the outline closes along its edges. Each crossing sits
+    // on one pixel edge and joins exactly two cells' segments, so loops
+    // chain through it without needing directions.
+    const value = (x, y) => (x >= 0 && y >= 0 && x < w && y < h ? mask[y * w + x] : 0);
+    const stride = 2 * w + 4;
+    const crossing = (x2, y2) => (y2 + 2) * stride + (x2 + 2);
+    const links = new Int32Array(stride * (2 * h + 4) * 2).fill(-1);
+    const link = (a, b) => {
+      links[a * 2 + (links[a * 2] === -1 ? 0 : 1)] = b;
+      links[b * 2 + (links[b * 2] === -1 ? 0 : 1)] = a;
+    };
+    
+    // Segments per case (corners TL=1, TR=2, BR=4, BL=8); diagonal pairs stay
+    // apart, matching the 4-connected cleanup
+    const CASES = [
+      [], [['L', 'T']], [['T', 'R']], [['L', 'R']], [['R', 'B']], [['L', 'T'], ['R', 'B']], [['T', 'B']], [['L', 'B']],
+      [['B', 'L']], [['T', 'B']], [['T', 'R'], ['B', 'L']], [['R', 'B']], [['L', 'R']], [['T', 'R']], [['L', 'T']], []
+    ];
+    for (let y = -1; y < h; y++) {
+      for (let x = -1; x < w; x++) {
+        const code = value(x, y) | value(x + 1, y) << 1 | value(x + 1, y + 1) << 2 | value(x, y + 1) << 3;
+        const edges = {
+          T: crossing(2 * x + 1, 2 * y), R: crossing(2 * x + 2, 2 * y + 1),
+          B: crossing(2 * x + 1, 2 * y + 2), L: crossing(2 * x, 2 * y + 1)
+        };
+        for (const [a, b] of CASES[code]) link(edges[a], edges[b]);
+      }
+    }
+    
+    const loops = [];
+    const seen = new Uint8Array(links.length / 2);
+    const tolerance = 0.7;
+    for (let start = 0; start < seen.length; start++) {
+      if (seen[start] || links[start * 2] === -1) continue;
+      
+      const chain = [];
+      let previous = -1, current = start;
+      while (!seen[current]) {
+        seen[current] = 1;
+        const x2 = current % stride - 2, y2 = Math.floor(current / stride) - 2;
+        chain.push({ x: x2 / 2, y: y2 / 2 });
+        const next = links[current * 2] !== previous ? links[current * 2] : links[current * 2 + 1];
+        previous = current;
+        current = next;
+      }
+      
+      // Simplify as a closed run back to the start, in pixels
+      const simplified = this.simplifyPolyline([...chain, chain[0]], tolerance).slice(0, -1);
+      if (simplified.length >= 3) {
+        loops.push(simplified.map(p => ({ x: (p.x + 0.5) / w, y: (p.y + 0.5) / h })));
+      }
+    }
+    
+    let coverage = 0;
+    for (let i = 0; i < n; i++) coverage += mask[i];
+    coverage /= n;
+    
+    this.silhouette = { key, mask, width: w, height: h, loops, coverage };
+    console.log(`Silhouette (${cfg.silhouetteMode}): ${loops.length} outline loops, ${(coverage * 100).toFixed(1)}% subject at ${w}x${h}, ${(performance.now() - startTime).toFixed(0)}ms`);
+    return this.silhouette;
+  }
+  
+  // Silhouette computed for cfg's settings, or null when the cut-out is off,
+  // not computed yet or found no subject
+  silhouetteFor(cfg) {
+    if (!cfg.silhouetteMode || cfg.silhouetteMode === 'off') return null;
+    const silhouette = this.silhouette;
+    if (!silhouette || silhouette.key !== ImageAnalyzer.silhouetteKey(cfg)) return null;
+    return silhouette.loops.length > 0 ? silhouette : null;
+  }
+  
+  // Whether normalized coords fall on the subject of a silhouette
+  static insideSilhouette(silhouette, nx, ny) {
+    const { mask, width, height } = silhouette;
+    const px = Math.min(width - 1, Math.max(0, Math.floor(nx * width)));
+    const py = Math.min(height - 1, Math.max(0, Math.floor(ny * height)));
+    return mask[py * width + px] === 1;
+  }
+  
+  // sRGB (0-255) to CIELAB (D65), written to out[offset..offset+2]
+  static rgbToLab(r, g, b, out, offset) {
+    const linear = (c) => {
+      c /= 255;
+      return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    };
+    const lr = linear(r), lg = linear(g), lb = linear(b);
+    
+    const x = (0.4124 * lr + 0.3576 * lg + 0.1805 * lb) / 0.95047;
+    const y = 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+    const z = (0.0193 * lr + 0.1192 * lg + 0.9505 * lb) / 1.08883;
+    
+    const f = (t) => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+    const fx = f(x), fy = f(y), fz = f(z);
+    
+    out[offset] = 116 * fy - 16;
+    out[offset + 1] = 500 * (fx - fy);
+    out[offset + 2] = 200 * (fy - fz);
+  }
+  
+  // Trace strong edges into polylines (normalized coords) for use as
+  // triangulation constraints. The Sobel response is thinned by non-maximum
+  // suppression, 8-connected pixels are linked into chains, and each chain
+  // is simplified with Douglas-Peucker.
+  traceContours(threshold = 0.3, minLength = 0.03) {
+    this.computeSobel();
+    
+    const w = this.width;
+    const h = this.height;
+    const thin = new Uint8Array(w * h);
+    
+    // 1. Non-maximum suppression along the gradient direction
+    const directions = [[1, 0], [1, 1], [0, 1], [-1, 1]];
+    
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const idx = y * w + x;
+        const m = this._edgeMap[idx];
+        if (m < threshold) continue;
+        
+        let angle = Math.atan2(this._sobelY[idx], this._sobelX[idx]);
+        if (angle < 0) angle += Math.PI;
+        const [dx, dy] = directions[Math.round(angle / (Math.PI / 4)) % 4];
+        
+        const ahead = this._edgeMap[(y + dy) * w + (x + dx)];
+        const behind = this._edgeMap[(y - dy) * w + (x - dx)];
+        
+        if (m >= ahead && m > behind) thin[idx] = 1;
+      }
+    }
+    
+    // 2. Link thinned pixels into chains
+    const neighbours = [[1, 0], [0, 1], [-1, 0], [0, -1], [1, 1], [-1, 1], [-1, -1], [1, -1]];
+    const visited = new Uint8Array(w * h);
+    
+    const countNeighbours = (idx) => {
+      const x = idx % w, y = (idx - x) / w;
+      let count = 0;
+      for (const [dx, dy] of neighbours) {
+        if (thin[(y + dy) * w + (x + dx)]) count++;
+      }
+      return count;
+    };
+    
+    const trace = (start) => {
+      const chain = [start];
+      visited[start] = 1;
+      let cur = start;
+      
+      while (true) {
+        const x = cur % w, y = (cur - x) / w;
+        let next = -1;
+        
+        for (const [dx, dy] of neighbours) {
+          const n = (y + dy) * w + (x + dx);
+          if (thin[n] && !visited[n]) {
+            next = n;
+            break;
+          }
+        }
+        
+        if (next < 0) break;
+        visited[next] = 1;
+        chain.push(next);
+        cur = next;
+      }
+      
+      return chain;
+    };
+    
+    const chains = [];
+    
+    // Open curves from their endpoints first, then whatever is left (loops)
+    for (let idx = 0; idx < w * h; idx++) {
+      if (thin[idx] && !visited[idx] && countNeighbours(idx) === 1) chains.push(trace(idx));
+    }
+    for (let idx = 0; idx < w * h; idx++) {
+      if (thin[idx] && !visited[idx]) chains.push(trace(idx));
+    }
+    
+    // 3. Simplify and convert to normalized coords
+    const tolerance = Math.max(1, 0.003 * Math.max(w, h));
+    const contours = [];
+    
+    for (const chain of chains) {
+      if (chain.length < 3) continue;
+      
+      const pts = chain.map(idx => ({ x: idx % w, y: Math.floor(idx / w) }));
+      const simplified = this.simplifyPolyline(pts, tolerance)
+        .map(p => ({ x: p.x / (w - 1), y: p.y / (h - 1) }));
+      
+      let length = 0;
+      for (let i = 1; i < simplified.length; i++) {
+        length += Math.hypot(simplified[i].x - simplified[i - 1].x, simplified[i].y - simplified[i - 1].y);
+      }
+      
+      if (length >= minLength) contours.push(simplified);
+    }
+    
+    return contours;
+  }
+  
+  // Douglas-Peucker polyline simplification
+  simplifyPolyline(pts, tolerance) {
+    if (pts.length < 3) return pts.slice();
+    
+    const keep = new Uint8Array(pts.length);
+    keep[0] = keep[pts.length - 1] = 1;
+    const stack = [[0, pts.length - 1]];
+    
+    while (stack.length > 0) {
+      const [first, last] = stack.pop();
+      const a = pts[first], b = pts[last];
+      const len = Math.hypot(b.x - a.x, b.y - a.y);
+      
+      let maxDist = 0, index = -1;
+      for (let i = first + 1; i < last; i++) {
+        const p = pts[i];
+        const d = len > 0
+          ? Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / len
+          : Math.hypot(p.x - a.x, p.y - a.y);
+        if (d > maxDist) {
+          maxDist = d;
+          index = i;
+        }
+      }
+      
+      if (maxDist > tolerance) {
+        keep[index] = 1;
+        stack.push([first, index], [index, last]);
+      }
+    }
+    
+    return pts.filter((p, i) => keep[i]);
+  }
+  
   // Get aspect ratio
   getAspectRatio() {
     return this.width / this.height;
@@ -0,0 +1,421 @@
+// 2D previews of what the pipeline sees: processed brightness, edges, local
+// contrast, and the points and facets laid over the image. The frame tab
+// edits the crop, straightening and perspective on the unframed image; the
+// mask tab paints the detail mask (see DetailMask).
+
+// Preview canvas resolution along the image's long side
+const IMAGE_PREVIEW_SIZE = 320;
+
+const IMAGE_PREVIEW_TABS = ['frame', 'brightness', 'edges', 'contrast', 'mesh', 'mask'];
+
+// Mask value each brush paints, and its overlay colour
+const MASK_BRUSHES = { more: MASK_MORE, less: MASK_LESS, flat: MASK_FLAT, erase: MASK_NONE };
+const MASK_COLORS = {
+  [MASK_MORE]: [34, 197, 94],
+  [MASK_LESS]: [249, 115, 22],
+  [MASK_FLAT]: [59, 130, 246]
+};
+const MASK_OVERLAY_ALPHA = 0.45;
+
+// Crops smaller than this (0-1 of a side) are taken as stray clicks
+const MIN_CROP_SIZE = 0.02;
+
+// Perspective corner handles grab within this many canvas pixels
+const CORNER_GRAB_RADIUS = 16;
+
+const FULL_FRAME_CORNERS = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+
+class ImagePreview {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas ? canvas.getContext('2d') : null;
+    
+    // Unframed image at preview resolution, for the frame tab
+    this.source = null;
+    
+    // Frame tab state: 'crop' or 'perspective', the settings it was drawn
+    // with, its backdrop and any drag in progress
+    this.frameMode = 'crop';
+    this.frameCfg = null;
+    this.background = null;
+    this.drag = null;
+    this.onFramingChange = null;
+    
+    // Mask tab state: the brush ('more', 'less', 'flat' or 'erase') and the
+    // settings and image it was drawn with
+    this.brush = 'more';
+    this.maskCfg = null;
+    this.maskAspect = 1;
+    this.onMaskChange = null;
+    
+    if (canvas) this.setupPointer();
+  }
+  
+  // Keep a small copy of the loaded image; framing edits warp this instead
+  // of the full-size picture
+  setSourceImage(image) {
+    const scale = Math.min(1, 2 * IMAGE_PREVIEW_SIZE / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+    this.source = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  }
+  
+  // Fit the canvas to the image's proportions
+  resize(analyzer) {
+    this.resizeTo(analyzer.width / analyzer.height);
+  }
+  
+  resizeTo(aspect) {
+    const width = aspect >= 1 ? IMAGE_PREVIEW_SIZE : Math.round(IMAGE_PREVIEW_SIZE * aspect);
+    const height = aspect >= 1 ? Math.round(IMAGE_PREVIEW_SIZE / aspect) : IMAGE_PREVIEW_SIZE;
+    if (this.canvas.width !== width) this.canvas.width = width;
+    if (this.canvas.height !== height) this.canvas.height = height;
+  }
+  
+  clear() {
+    if (!this.ctx) return;
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+  
+  // Draw one tab. geometry is only read by the mesh tab.
+  render(tab, analyzer, cfg, geometry = null) {
+    // A stroke or drag in progress keeps its canvas until it ends
+    if (!this.ctx || !analyzer || (this.drag && !this.drag.done)) return;
+    this.tab = tab;
+    if (tab === 'frame') {
+      this.renderFrame(cfg);
+      return;
+    }
+    this.resize(analyzer);
+    if (tab === 'mask') {
+      this.renderMask(analyzer, cfg);
+      return;
+    }
+    
+    switch (tab) {
+      case 'edges':
+        analyzer.computeSobel();
+        this.drawValues(analyzer, analyzer._edgeMap);
+        break;
+      case 'contrast':
+        this.drawValues(analyzer, analyzer.computeLocalContrastMap());
+        break;
+      case 'mesh':
+        this.drawValues(analyzer, analyzer.toneSource(cfg), (v) => analyzer.processBrightness(v, cfg), 0.45);
+        if (geometry) this.drawGeometry(geometry);
+        break;
+      default:
+        this.drawValues(analyzer, analyzer.toneSource(cfg), (v) => analyzer.processBrightness(v, cfg));
+    }
+    
+    const loops = tab === 'brightness' ? PointGenerator.outlineLoops(analyzer, cfg) : null;
+    if (loops) this.drawOutline(loops);
+  }
+  
+  // Cut-out or preset outline loops (normalized coords)
+  drawOutline(loops) {
+    const { width, height } = this.canvas;
+    const ctx = this.ctx;
+    ctx.strokeStyle = '#4ade80';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (const loop of loops) {
+      ctx.moveTo(loop[0].x * width, loop[0].y * height);
+      for (let i = 1; i < loop.length; i++) ctx.lineTo(loop[i].x * width, loop[i].y * height);
+      ctx.closePath();
+    }
+    ctx.stroke();
+  }
+  
+  // Grey image from a full-resolution 0-1 map, nearest-sampled down to the
+  // canvas, with an optional per-value transform and dimming
+  drawValues(analyzer, values, transform = null, scale = 1) {
+    const { width, height } = this.canvas;
+    const image = this.ctx.createImageData(width, height);
+    const data = image.data;
+    
+    for (let y = 0; y < height; y++) {
+      const py = Math.min(analyzer.height - 1, Math.floor((y + 0.5) * analyzer.height / height));
+      for (let x = 0; x < width; x++) {
+        const px = Math.min(analyzer.width - 1, Math.floor((x + 0.5) * analyzer.width / width));
+        let v = values[py * analyzer.width + px];
+        if (transform) v = transform(v);
+        const g = Math.round(Math.max(0, Math.min(1, v)) * scale * 255);
+        const i = (y * width + x) * 4;
+        data[i] = data[i + 1] = data[i + 2] = g;
+        data[i + 3] = 255;
+      }
+    }
+    
+    this.ctx.putImageData(image, 0, 0);
+    return image;
+  }
+  
+  // Facet outlines, then points: locked edge points in cyan, points added
+  // by refinement in magenta
+  drawGeometry(geometry) {
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+    
+    ctx.strokeStyle = 'rgba(255, 170, 60, 0.75)';
+    ctx.lineWidth = 0.5;
+    ctx.beginPath();
+    for (const facet of geometry.facets) {
+      const vertices = facet.vertices;
+      ctx.moveTo(vertices[0].x * width, vertices[0].y * height);
+      for (let i = 1; i < vertices.length; i++) {
+        ctx.lineTo(vertices[i].x * width, vertices[i].y * height);
+      }
+      ctx.closePath();
+    }
+    ctx.stroke();
+    
+    for (const p of geometry.points) {
+      ctx.fillStyle = p.isSteiner ? '#e879f9' : p.isEdge ? '#22d3ee' : '#f5f5f5';
+      ctx.fillRect(p.x * width - 1, p.y * height - 1, 2, 2);
+    }
+  }
+  
+  // Backdrop for the frame tab: the image as loaded in perspective mode, or
+  // squared up and straightened (but not cropped) in crop mode
+  renderFrame(cfg) {
+    if (!this.source) return;
+    this.frameCfg = cfg;
+    this.drag = null;
+    
+    const source = this.source;
+    const framing = this.frameMode === 'perspective'
+      ? { corners: null, angle: 0, crop: null }
+      : { corners: cfg.perspectiveCorners || null, angle: cfg.straightenAngle || 0, crop: null };
+    const size = ImageAnalyzer.framedSize(source.width, source.height, framing, false);
+    this.resizeTo(size.width / size.height);
+    
+    this.background = this.ctx.createImageData(this.canvas.width, this.canvas.height);
+    ImageAnalyzer.warpPixels(source, framing, this.background, false);
+    this.drawFrameOverlay();
+  }
+  
+  // Crop rectangle (outside dimmed) or perspective quad over the backdrop,
+  // following the drag while one is in progress
+  drawFrameOverlay() {
+    const ctx = this.ctx;
+    const { width, height } = this.canvas;
+    ctx.putImageData(this.background, 0, 0);
+    
+    if (this.frameMode === 'perspective') {
+      const corners = this.drag ? this.drag.corners : this.frameCfg.perspectiveCorners || FULL_FRAME_CORNERS;
+      ctx.strokeStyle = '#22d3ee';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      corners.forEach((p, i) => i === 0 ? ctx.moveTo(p.x * width, p.y * height) : ctx.lineTo(p.x * width, p.y * height));
+      ctx.closePath();
+      ctx.stroke();
+      
+      ctx.fillStyle = '#22d3ee';
+      for (const p of corners) {
+        ctx.beginPath();
+        ctx.arc(p.x * width, p.y * height, 5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      return;
+    }
+    
+    const rect = this.drag ? this.drag.rect : this.frameCfg.cropRect || { x: 0, y: 0, width: 1, height: 1 };
+    const x0 = rect.x * width, y0 = rect.y * height;
+    const x1 = (rect.x + rect.width) * width, y1 = (rect.y + rect.height) * height;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fillRect(0, 0, width, y0);
+    ctx.fillRect(0, y1, width, height - y1);
+    ctx.fillRect(0, y0, x0, y1 - y0);
+    ctx.fillRect(x1, y0, width - x1, y1 - y0);
+    
+    // Thirds help with composition
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 1; i < 3; i++) {
+      ctx.moveTo(x0 + (x1 - x0) * i / 3, y0);
+      ctx.lineTo(x0 + (x1 - x0) * i / 3, y1);
+      ctx.moveTo(x0, y0 + (y1 - y0) * i / 3);
+      ctx.lineTo(x1, y0 + (y1 - y0) * i / 3);
+    }
+    ctx.stroke();
+    
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(x0, y0, x1 - x0, y1 - y0);
+  }
+  
+  setupPointer() {
+    const position = (e) => {
+      const bounds = this.canvas.getBoundingClientRect();
+      return {
+        x: Math.max(0, Math.min(1, (e.clientX - bounds.left) / bounds.width)),
+        y: Math.max(0, Math.min(1, (e.clientY - bounds.top) / bounds.height))
+      };
+    };
+    
+    this.canvas.addEventListener('pointerdown', (e) => {
+      if ((this.tab !== 'frame' && this.tab !== 'mask') || !this.background) return;
+      this.canvas.setPointerCapture(e.pointerId);
+      this.startDrag(position(e));
+    });
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (this.drag && !this.drag.done) this.moveDrag(position(e));
+    });
+    this.canvas.addEventListener('pointerup', () => {
+      if (this.drag && !this.drag.done) this.endDrag();
+    });
+  }
+  
+  // Crop mode draws a new rectangle, or moves the current one when the drag
+  // starts inside it; perspective mode moves the nearest corner
+  startDrag(p) {
+    if (this.tab === 'mask') {
+      this.startPaint(p);
+      return;
+    }
+    
+    if (this.frameMode === 'perspective') {
+      const corners = (this.frameCfg.perspectiveCorners || FULL_FRAME_CORNERS).map(c => ({ ...c }));
+      const { width, height } = this.canvas;
+      let index = -1, best = CORNER_GRAB_RADIUS;
+      corners.forEach((c, i) => {
+        const distance = Math.hypot((c.x - p.x) * width, (c.y - p.y) * height);
+        if (distance < best) {
+          best = distance;
+          index = i;
+        }
+      });
+      if (index >= 0) this.drag = { index, corners };
+      return;
+    }
+    
+    const rect = this.frameCfg.cropRect;
+    const inside = rect && p.x >= rect.x && p.x <= rect.x + rect.width && p.y >= rect.y && p.y <= rect.y + rect.height;
+    this.drag = inside
+      ? { move: true, start: p, origin: rect, rect }
+      : { move: false, start: p, rect: { x: p.x, y: p.y, width: 0, height: 0 } };
+  }
+  
+  moveDrag(p) {
+    const drag = this.drag;
+    if (drag.mask) {
+      this.paintTo(p);
+      return;
+    }
+    
+    if (drag.corners) {
+      drag.corners[drag.index] = { x: p.x, y: p.y };
+    } else if (drag.move) {
+      const { origin } = drag;
+      drag.rect = {
+        ...origin,
+        x: Math.max(0, Math.min(1 - origin.width, origin.x + p.x - drag.start.x)),
+        y: Math.max(0, Math.min(1 - origin.height, origin.y + p.y - drag.start.y))
+      };
+    } else {
+      drag.rect = {
+        x: Math.min(p.x, drag.start.x),
+        y: Math.min(p.y, drag.start.y),
+        width: Math.abs(p.x - drag.start.x),
+        height: Math.abs(p.y - drag.start.y)
+      };
+    }
+    this.drawFrameOverlay();
+  }
+  
+  // A finished drag stays drawn until the new settings come back through
+  // render
+  endDrag() {
+    const drag = this.drag;
+    drag.done = true;
+    if (drag.mask) {
+      this.endPaint();
+      return;
+    }
+    
+    const round = (v) => Math.round(v * 10000) / 10000;
+    
+    let updates = null;
+    if (drag.corners) {
+      updates = { perspectiveCorners: drag.corners.map(c => ({ x: round(c.x), y: round(c.y) })) };
+    } else if (drag.rect.width >= MIN_CROP_SIZE && drag.rect.height >= MIN_CROP_SIZE) {
+      const { x, y, width, height } = drag.rect;
+      updates = { cropRect: { x: round(x), y: round(y), width: round(width), height: round(height) } };
+    }
+    
+    if (updates && this.onFramingChange) {
+      this.onFramingChange(updates);
+    } else {
+      this.drag = null;
+      this.drawFrameOverlay();
+    }
+  }
+  
+  // Processed brightness with the painted mask tinted over it
+  renderMask(analyzer, cfg) {
+    this.maskCfg = cfg;
+    this.maskAspect = analyzer.width / analyzer.height;
+    this.drag = null;
+    this.background = this.drawValues(analyzer, analyzer.toneSource(cfg), (v) => analyzer.processBrightness(v, cfg));
+    this.drawMaskOverlay(DetailMask.fromConfig(cfg));
+  }
+  
+  drawMaskOverlay(mask) {
+    const { width, height } = this.canvas;
+    const image = this.ctx.createImageData(width, height);
+    image.data.set(this.background.data);
+    
+    if (mask) {
+      const data = image.data;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const color = MASK_COLORS[DetailMask.valueAt(mask, (x + 0.5) / width, (y + 0.5) / height)];
+          if (!color) continue;
+          const i = (y * width + x) * 4;
+          for (let ch = 0; ch < 3; ch++) {
+            data[i + ch] = data[i + ch] * (1 - MASK_OVERLAY_ALPHA) + color[ch] * MASK_OVERLAY_ALPHA;
+          }
+        }
+      }
+    }
+    
+    this.ctx.putImageData(image, 0, 0);
+  }
+  
+  // Paint into a copy of the current mask; the config only gets the result
+  // when the stroke ends
+  startPaint(p) {
+    const current = DetailMask.fromConfig(this.maskCfg);
+    const mask = current
+      ? { width: current.width, height: current.height, data: current.data.slice() }
+      : DetailMask.create(this.maskAspect);
+    this.drag = { mask, last: p };
+    DetailMask.paint(mask, p.x, p.y, this.maskCfg.maskBrushSize / 100, MASK_BRUSHES[this.brush]);
+    this.drawMaskOverlay(mask);
+  }
+  
+  // Dabs along the stroke half a radius apart, so fast moves leave no gaps
+  paintTo(p) {
+    const { mask, last } = this.drag;
+    const radius = this.maskCfg.maskBrushSize / 100;
+    const long = Math.max(this.canvas.width, this.canvas.height);
+    const distance = Math.hypot((p.x - last.x) * this.canvas.width, (p.y - last.y) * this.canvas.height) / long;
+    const steps = Math.max(1, Math.ceil(distance / (radius * 0.5)));
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      DetailMask.paint(mask, last.x + (p.x - last.x) * t, last.y + (p.y - last.y) * t, radius, MASK_BRUSHES[this.brush]);
+    }
+    this.drag.last = p;
+    this.drawMaskOverlay(mask);
+  }
+  
+  endPaint() {
+    const { mask } = this.drag;
+    if (this.onMaskChange) this.onMaskChange(DetailMask.isEmpty(mask) ? null : DetailMask.encode(mask));
+  }
+}
\ No newline at end of file
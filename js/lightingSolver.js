@@ -0,0 +1,357 @@
+// Inverse lighting: facet normals whose Lambertian shading matches a target
+//
+// A facet with unit normal n under a unit light L shades to n·L (albedo 1).
+// For a target shading s the normals that reproduce it form a cone of
+// half-angle acos(s) around L, and the tilt limit cuts that cone down to an
+// arc. Where on the arc a facet sits (which way it leans around the light) does
+// not change its tone, so that freedom is spent on making neighbouring facets
+// meet with the smallest possible height steps.
+
+class LightingSolver {
+  // Shading reachable by a facet tilted at most maxTilt (radians) from flat
+  static shadingRange(light, maxTilt) {
+    const zenith = Math.acos(Math.max(-1, Math.min(1, light.z)));
+    
+    return {
+      min: Math.max(0, Math.cos(Math.min(Math.PI, zenith + maxTilt))),
+      max: Math.cos(Math.max(0, zenith - maxTilt))
+    };
+  }
+  
+  // Cone of normals n with n·L = target, parametrised by the angle psi around L.
+  // psi = 0 is the most upright normal; |psi| <= psiMax keeps the tilt in range.
+  static shadingCone(target, light, maxTilt) {
+    const range = this.shadingRange(light, maxTilt);
+    const s = Math.max(range.min, Math.min(range.max, target));
+    const alpha = Math.acos(s);
+    
+    // Basis perpendicular to L: u in the vertical plane through L, w horizontal
+    const horiz = Math.hypot(light.x, light.y);
+    let u, w;
+    if (horiz < 1e-9) {
+      u = { x: 1, y: 0, z: 0 };
+      w = { x: 0, y: 1, z: 0 };
+    } else {
+      u = { x: -light.z * light.x / horiz, y: -light.z * light.y / horiz, z: horiz };
+      w = { x: -light.y / horiz, y: light.x / horiz, z: 0 };
+    }
+    
+    // n.z = cos(alpha) L.z + sin(alpha) horiz cos(psi) must stay >= cos(maxTilt)
+    const sinA = Math.sin(alpha);
+    let psiMax = Math.PI;
+    if (sinA * horiz > 1e-9) {
+      const c = (Math.cos(maxTilt) - Math.cos(alpha) * light.z) / (sinA * horiz);
+      psiMax = c <= -1 ? Math.PI : c >= 1 ? 0 : Math.acos(c);
+    }
+    
+    return { shading: s, alpha, u, w, psiMax, light };
+  }
+  
+  // Unit normal on the cone at angle psi
+  static coneNormal(cone, psi) {
+    const { alpha, u, w, light } = cone;
+    const ca = Math.cos(alpha);
+    const sa = Math.sin(alpha);
+    const cp = Math.cos(psi);
+    const sp = Math.sin(psi);
+    
+    return {
+      x: ca * light.x + sa * (cp * u.x + sp * w.x),
+      y: ca * light.y + sa * (cp * u.y + sp * w.y),
+      z: ca * light.z + sa * (cp * u.z + sp * w.z)
+    };
+  }
+  
+  // Height gradient (dz/dx, dz/dy) of the plane with normal n
+  static normalToGradient(n) {
+    const nz = Math.max(n.z, 1e-6);
+    return { x: -n.x / nz, y: -n.y / nz };
+  }
+  
+  // Shared edges between faces, keyed by mm coordinates so remapped tile
+  // copies of the same vertex still match
+  static faceNeighbours(faces) {
+    const key = (p) => `${p.x.toFixed(4)},${p.y.toFixed(4)}`;
+    const edges = new Map();
+    const neighbours = faces.map(() => []);
+    
+    faces.forEach((face, fi) => {
+      const n = face.points.length;
+      for (let i = 0; i < n; i++) {
+        const a = face.points[i];
+        const b = face.points[(i + 1) % n];
+        const ka = key(a), kb = key(b);
+        const edgeKey = ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+        
+        const other = edges.get(edgeKey);
+        if (other === undefined) {
+          edges.set(edgeKey, fi);
+        } else {
+          neighbours[fi].push({ face: other, a, b });
+          neighbours[other].push({ face: fi, a, b });
+        }
+      }
+    });
+    
+    return neighbours;
+  }
+  
+  // faces: [{ points: [{x, y}, ...] in mm, target: 0-1 }]
+  // Returns the top height at every corner of every face
+  static solveFacets(faces, light, maxTilt, { samples = 9, ...options }) {
+    const startTime = performance.now();
+    let clamped = 0;
+    
+    // Candidate gradients along each face's feasible arc
+    const candidates = faces.map(face => {
+      const cone = this.shadingCone(face.target, light, maxTilt);
+      if (Math.abs(cone.shading - face.target) > 1e-6) clamped++;
+      
+      const count = cone.psiMax > 0 ? samples : 1;
+      const list = [];
+      for (let k = 0; k < count; k++) {
+        const psi = count > 1 ? -cone.psiMax + 2 * cone.psiMax * k / (count - 1) : 0;
+        list.push(this.normalToGradient(this.coneNormal(cone, psi)));
+      }
+      return list;
+    });
+    
+    const heights = this.fitHeights(faces, candidates, options);
+    
+    console.log(`Inverse lighting: ${faces.length} facets, ${clamped} outside the reachable tone range (${(performance.now() - startTime).toFixed(0)}ms)`);
+    
+    return heights;
+  }
+  
+  // Two images under two lights. A normal has two degrees of freedom, so each
+  // facet can match both targets where the two shading cones intersect.
+  // Raw tones of two unrelated images are rarely reachable together, so both
+  // are first remapped into a box of tone pairs that the tilt limit allows.
+  // faces: [{ points: [{x, y}, ...] in mm, targets: [a, b] }]
+  static solveDualFacets(faces, lights, maxTilt, options) {
+    const startTime = performance.now();
+    const [lightA, lightB] = lights;
+    const box = this.dualToneBox(lightA, lightB, maxTilt);
+    let compromised = 0;
+    
+    const candidates = faces.map(face => {
+      const sA = box.a[0] + face.targets[0] * (box.a[1] - box.a[0]);
+      const sB = box.b[0] + face.targets[1] * (box.b[1] - box.b[0]);
+      
+      const { normals, exact } = this.dualNormals(sA, sB, lightA, lightB, maxTilt);
+      if (!exact) compromised++;
+      
+      return normals.map(n => this.normalToGradient(n));
+    });
+    
+    const heights = this.fitHeights(faces, candidates, options);
+    
+    console.log(`Dual lighting: ${faces.length} facets, tones A ${box.a.map(v => v.toFixed(2)).join('-')}, B ${box.b.map(v => v.toFixed(2)).join('-')}, ${compromised} compromised (${(performance.now() - startTime).toFixed(0)}ms)`);
+    
+    return heights;
+  }
+  
+  // Largest box of tone pairs whose corners and edge midpoints can all be
+  // reproduced exactly within maxTilt, centred on the middle of the pairs
+  // reachable at all (the flat facet is an extreme when the lights oppose)
+  static dualToneBox(lightA, lightB, maxTilt) {
+    let sumA = 0, sumB = 0, count = 0;
+    let minA = Infinity, maxA = -Infinity, minB = Infinity, maxB = -Infinity;
+    
+    for (let i = 0; i <= 12; i++) {
+      const tilt = maxTilt * i / 12;
+      const steps = i === 0 ? 1 : 48;
+      for (let j = 0; j < steps; j++) {
+        const phi = j * 2 * Math.PI / steps;
+        const n = { x: Math.sin(tilt) * Math.cos(phi), y: Math.sin(tilt) * Math.sin(phi), z: Math.cos(tilt) };
+        const sA = Math.max(0, n.x * lightA.x + n.y * lightA.y + n.z * lightA.z);
+        const sB = Math.max(0, n.x * lightB.x + n.y * lightB.y + n.z * lightB.z);
+        sumA += sA;
+        sumB += sB;
+        count++;
+        minA = Math.min(minA, sA);
+        maxA = Math.max(maxA, sA);
+        minB = Math.min(minB, sB);
+        maxB = Math.max(maxB, sB);
+      }
+    }
+    
+    const cA = sumA / count;
+    const cB = sumB / count;
+    const hA = Math.min(cA - minA, maxA - cA);
+    const hB = Math.min(cB - minB, maxB - cB);
+    
+    const fits = (scale) => {
+      for (const [u, v] of [[-1, -1], [-1, 1], [1, -1], [1, 1], [0, -1], [0, 1], [-1, 0], [1, 0]]) {
+        if (!this.dualNormals(cA + u * scale * hA, cB + v * scale * hB, lightA, lightB, maxTilt).exact) {
+          return false;
+        }
+      }
+      return true;
+    };
+    
+    let lo = 0, hi = 1;
+    if (fits(1)) {
+      lo = 1;
+    } else {
+      for (let i = 0; i < 20; i++) {
+        const mid = (lo + hi) / 2;
+        if (fits(mid)) lo = mid;
+        else hi = mid;
+      }
+    }
+    
+    return {
+      a: [cA - lo * hA, cA + lo * hA],
+      b: [cB - lo * hB, cB + lo * hB]
+    };
+  }
+  
+  // Normals n with n·A = sA and n·B = sB, limited to maxTilt. Usually two
+  // mirror-image solutions on either side of the plane of both lights; when
+  // none is reachable, the best least-squares normal on the tilt limit is used.
+  static dualNormals(sA, sB, lightA, lightB, maxTilt) {
+    const cosTilt = Math.cos(maxTilt);
+    const c = lightA.x * lightB.x + lightA.y * lightB.y + lightA.z * lightB.z;
+    const det = 1 - c * c;
+    
+    // Lights (nearly) coincide: one cone, average target
+    if (det < 1e-6) {
+      const cone = this.shadingCone((sA + sB) / 2, lightA, maxTilt);
+      return { normals: [this.coneNormal(cone, 0)], exact: false };
+    }
+    
+    // Component in the plane of the two lights
+    const alpha = (sA - c * sB) / det;
+    const beta = (sB - c * sA) / det;
+    const n0Sq = alpha * sA + beta * sB;
+    
+    if (n0Sq < 1) {
+      // Out-of-plane component along A x B
+      const t = Math.sqrt((1 - n0Sq) / det);
+      const cross = {
+        x: lightA.y * lightB.z - lightA.z * lightB.y,
+        y: lightA.z * lightB.x - lightA.x * lightB.z,
+        z: lightA.x * lightB.y - lightA.y * lightB.x
+      };
+      
+      const normals = [-1, 1]
+        .map(sign => ({
+          x: alpha * lightA.x + beta * lightB.x + sign * t * cross.x,
+          y: alpha * lightA.y + beta * lightB.y + sign * t * cross.y,
+          z: alpha * lightA.z + beta * lightB.z + sign * t * cross.z
+        }))
+        .filter(n => n.z >= cosTilt - 1e-9);
+      
+      if (normals.length > 0) return { normals, exact: true };
+    }
+    
+    // Unreachable: search the rim of tilt-limited normals for the least error
+    const sinTilt = Math.sin(maxTilt);
+    const error = (phi) => {
+      const n = { x: sinTilt * Math.cos(phi), y: sinTilt * Math.sin(phi), z: cosTilt };
+      const eA = n.x * lightA.x + n.y * lightA.y + n.z * lightA.z - sA;
+      const eB = n.x * lightB.x + n.y * lightB.y + n.z * lightB.z - sB;
+      return eA * eA + eB * eB;
+    };
+    
+    const steps = 72;
+    let bestPhi = 0, bestError = Infinity;
+    for (let i = 0; i < steps; i++) {
+      const phi = i * 2 * Math.PI / steps;
+      const e = error(phi);
+      if (e < bestError) {
+        bestError = e;
+        bestPhi = phi;
+      }
+    }
+    
+    // Refine with a golden-section search around the best sample
+    let lo = bestPhi - Math.PI / steps * 2, hi = bestPhi + Math.PI / steps * 2;
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    for (let i = 0; i < 20; i++) {
+      const m1 = hi - ratio * (hi - lo);
+      const m2 = lo + ratio * (hi - lo);
+      if (error(m1) < error(m2)) hi = m2;
+      else lo = m1;
+    }
+    const phi = (lo + hi) / 2;
+    
+    return {
+      normals: [{ x: sinTilt * Math.cos(phi), y: sinTilt * Math.sin(phi), z: cosTilt }],
+      exact: false
+    };
+  }
+  
+  // Pick one candidate gradient per face and a centre height so that
+  // neighbouring planes meet with the smallest steps along shared edges.
+  // Returns the top height at every corner of every face.
+  static fitHeights(faces, candidates, { baseZ, maxHeight, sweeps = 16, anchorWeight = 0.01, onProgress = null }) {
+    const neighbours = this.faceNeighbours(faces);
+    const anchor = baseZ + maxHeight * 0.5;
+    
+    const state = faces.map((face, fi) => {
+      let cx = 0, cy = 0;
+      for (const p of face.points) {
+        cx += p.x;
+        cy += p.y;
+      }
+      cx /= face.points.length;
+      cy /= face.points.length;
+      
+      const list = candidates[fi];
+      return { cx, cy, candidates: list, gradient: list[(list.length - 1) >> 1], height: anchor };
+    });
+    
+    const planeAt = (s, p) => s.height + s.gradient.x * (p.x - s.cx) + s.gradient.y * (p.y - s.cy);
+    
+    // Gauss-Seidel sweeps: each face picks the candidate and centre height
+    // that best continue its neighbours' current planes along shared edges
+    for (let sweep = 0; sweep < sweeps; sweep++) {
+      if (onProgress) onProgress(sweep / sweeps);
+      
+      for (let fi = 0; fi < faces.length; fi++) {
+        const s = state[fi];
+        const edges = neighbours[fi];
+        if (edges.length === 0) continue;
+        
+        let bestCost = Infinity;
+        
+        for (const g of s.candidates) {
+          // Residuals: neighbour height minus this plane's slope term, per edge end
+          let sum = anchorWeight * anchor, sumSq = anchorWeight * anchor * anchor, weight = anchorWeight;
+          for (const { face, a, b } of edges) {
+            const other = state[face];
+            for (const p of [a, b]) {
+              const r = planeAt(other, p) - g.x * (p.x - s.cx) - g.y * (p.y - s.cy);
+              sum += r;
+              sumSq += r * r;
+              weight++;
+            }
+          }
+          
+          const h = sum / weight;
+          const cost = sumSq - h * sum;
+          
+          if (cost < bestCost) {
+            bestCost = cost;
+            s.gradient = g;
+            s.height = h;
+          }
+        }
+      }
+    }
+    
+    // Keep centres inside the relief envelope and corners above half the base
+    return faces.map((face, fi) => {
+      const s = state[fi];
+      s.height = Math.max(baseZ, Math.min(baseZ + maxHeight, s.height));
+      
+      const z = face.points.map(p => planeAt(s, p));
+      const minZ = Math.min(...z);
+      const zOffset = minZ < baseZ * 0.5 ? baseZ * 0.5 - minZ : 0;
+      
+      return z.map(v => v + zOffset);
+    });
+  }
+}
\ No newline at end of file
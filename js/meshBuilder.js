@@ -1,13 +1,16 @@
-// Convert 2D triangulation to 3D printable mesh with MUCH more dramatic angled facets
+// Convert 2D facets (triangles or Voronoi polygons) to 3D printable mesh with MUCH more dramatic angled facets
 
 class MeshBuilder {
-  // Build 3D mesh from triangulation
-  static build(geometry, cfg) {
-    const { triangles } = geometry;
+  // Build 3D mesh from the geometry's facets, each a polygon with a planar
+  // top (convex, or star-shaped from a concave corner; see convexPieces)
+  // onProgress(stage, fraction): stage is 'relief', 'mesh' or 'weld'
+  static build(geometry, cfg, onProgress = null) {
+    const { facets } = geometry;
     const { 
       outputWidthMM, outputHeightMM, 
       baseThickness, maxReliefHeight, maxTiltAngle,
-      reliefMethod, heightVariation, facetSharpness
+      reliefMethod, heightVariation, facetSharpness,
+      watertightMesh
     } = cfg;
     
     // Get light direction for angle calculations
@@ -16,48 +19,117 @@ class MeshBuilder {
     
     const vertices = [];
     const indices = [];
+    const solidFacets = [];
+    
+    console.log(`Building mesh: ${facets.length} facets, method=${reliefMethod}, tilt=${maxTiltAngle}°, watertight=${!!watertightMesh}`);
+    
+    // Convert normalized coords to mm, centered at origin
+    const toMM = (v) => ({
+      x: (v.x - 0.5) * outputWidthMM,
+      y: (v.y - 0.5) * outputHeightMM
+    });
+    
+    const report = (stage) => onProgress ? (fraction) => onProgress(stage, fraction) : null;
+    
+    // Inverse, dual and continuous methods solve all facets together
+    let solvedHeights = null;
+    if (reliefMethod === 'inverse') {
+      solvedHeights = LightingSolver.solveFacets(
+        facets.map(facet => ({ points: facet.vertices.map(toMM), target: facet.brightness })),
+        lightDir, maxTiltRad,
+        { baseZ: baseThickness, maxHeight: maxReliefHeight, onProgress: report('relief') }
+      );
+    } else if (reliefMethod === 'dual') {
+      if (facets.length > 0 && facets[0].secondBrightness === undefined) {
+        throw new Error('Dual Image relief needs a second image');
+      }
+      solvedHeights = LightingSolver.solveDualFacets(
+        facets.map(facet => ({
+          points: facet.vertices.map(toMM),
+          targets: [facet.brightness, facet.secondBrightness]
+        })),
+        [lightDir, config.getSecondLightDirection()], maxTiltRad,
+        { baseZ: baseThickness, maxHeight: maxReliefHeight, onProgress: report('relief') }
+      );
+    } else if (reliefMethod === 'continuous') {
+      // Shared vertex heights only keep triangles planar
+      if (facets.some(facet => facet.vertices.length !== 3)) {
+        throw new Error('Continuous Surface relief needs triangle facets');
+      }
+      solvedHeights = this.continuousHeights(
+        facets.map(facet => facet.vertices.map(toMM)),
+        facets.map(facet => this.angledTilt(facet.brightness, maxTiltRad, facetSharpness)),
+        lightDir, baseThickness, maxReliefHeight, report('relief')
+      );
+    }
     
-    console.log(`Building mesh: ${triangles.length} triangles, method=${reliefMethod}, tilt=${maxTiltAngle}°`);
+    const facetPoints = facets.map(facet => facet.vertices.map(toMM));
+    const facetHeights = [];
     
-    for (const tri of triangles) {
-      const [v0, v1, v2] = tri.vertices;
-      
-      // Use triangle center brightness for uniform facet angle
-      const brightness = tri.brightness;
+    for (let i = 0; i < facets.length; i++) {
+      const facet = facets[i];
+      if (onProgress && (i & 1023) === 0) onProgress('mesh', i / facets.length);
       
-      // Convert normalized coords to mm, centered at origin
-      const toMM = (v) => ({
-        x: (v.x - 0.5) * outputWidthMM,
-        y: (v.y - 0.5) * outputHeightMM
-      });
-      
-      const p0 = toMM(v0);
-      const p1 = toMM(v1);
-      const p2 = toMM(v2);
+      // Use facet center brightness for uniform facet angle
+      const brightness = facet.brightness;
+      const points = facetPoints[i];
       
-      if (reliefMethod === 'angled') {
-        this.addAngledFacet(
-          vertices, indices,
-          p0, p1, p2, brightness,
+      let heights;
+      if (solvedHeights) {
+        heights = solvedHeights[i];
+      } else if (reliefMethod === 'angled') {
+        heights = this.angledFacetHeights(
+          points, brightness,
           baseThickness, maxReliefHeight, maxTiltRad, 
           lightDir, heightVariation, facetSharpness
         );
       } else if (reliefMethod === 'hybrid') {
-        this.addHybridFacet(
-          vertices, indices,
-          p0, p1, p2, brightness,
-          v0.brightness, v1.brightness, v2.brightness,
+        // A depth map, when loaded, sets the corner heights instead of brightness
+        heights = this.hybridFacetHeights(
+          points, brightness,
+          facet.cornerDepth || facet.vertices.map(v => v.brightness),
           baseThickness, maxReliefHeight, maxTiltRad, 
           lightDir, heightVariation
         );
       } else {
-        this.addHeightmapFacet(
-          vertices, indices,
-          p0, p1, p2, 
-          v0.brightness, v1.brightness, v2.brightness,
+        heights = this.heightmapFacetHeights(
+          facet.vertices.map(v => v.brightness),
           baseThickness, maxReliefHeight
         );
       }
+      
+      facetHeights.push(heights);
+    }
+    
+    // Low-poly mosaic: facets in one superpixel region share a plane
+    if (facets.some(facet => facet.region !== undefined)) {
+      this.flattenRegions(facets, facetPoints, facetHeights, baseThickness);
+    }
+    
+    // Painted flat areas are one plane each, tilted toward the light by a
+    // fixed angle
+    if (facets.some(facet => facet.flatRegion >= 0)) {
+      const length = Math.hypot(lightDir.x, lightDir.y) || 1;
+      const slope = Math.tan((cfg.maskTiltAngle || 0) * Math.PI / 180);
+      this.flattenRegions(
+        facets, facetPoints, facetHeights, baseThickness,
+        'flatRegion', { gx: lightDir.x / length * slope, gy: lightDir.y / length * slope }
+      );
+    }
+    
+    for (let i = 0; i < facets.length; i++) {
+      for (const { points, heights } of this.convexPieces(facetPoints[i], facetHeights[i])) {
+        if (watertightMesh) {
+          solidFacets.push({ points, heights });
+        } else {
+          this.addPrism(vertices, indices, points, heights);
+        }
+      }
+    }
+    
+    // Weld all facets into one manifold solid
+    if (watertightMesh) {
+      return SolidMeshBuilder.build(solidFacets, report('weld'));
     }
     
     console.log(`Mesh complete: ${vertices.length / 3} vertices, ${indices.length / 3} triangles`);
@@ -70,27 +142,12 @@ class MeshBuilder {
   }
   
   // DRAMATICALLY improved angled facet
-  static addAngledFacet(verts, inds, p0, p1, p2, brightness, baseZ, maxHeight, maxTilt, lightDir, heightVar, sharpness) {
+  // Returns the top height at each corner of the facet
+  static angledFacetHeights(points, brightness, baseZ, maxHeight, maxTilt, lightDir, heightVar, sharpness) {
     // Calculate facet center
-    const cx = (p0.x + p1.x + p2.x) / 3;
-    const cy = (p0.y + p1.y + p2.y) / 3;
-    
-    // === KEY CHANGE: Much more aggressive tilt mapping ===
-    // Map brightness to tilt: 
-    //   brightness 1.0 (white) -> tilt TOWARD light (positive tilt)
-    //   brightness 0.5 (mid)   -> no tilt
-    //   brightness 0.0 (black) -> tilt AWAY from light (negative tilt)
+    const { cx, cy } = this.cornerCentroid(points);
     
-    // Apply power curve to exaggerate mid-tones
-    const adjustedBrightness = Math.pow(brightness, 0.7); // Boost midtones
-    
-    // Tilt factor: -1 to +1
-    const tiltFactor = (adjustedBrightness - 0.5) * 2;
-    
-    // Apply sharpness - higher sharpness = more extreme angles
-    const sharpTilt = Math.sign(tiltFactor) * Math.pow(Math.abs(tiltFactor), 1 / (sharpness + 0.5));
-    
-    const tiltAmount = sharpTilt * maxTilt;
+    const tiltAmount = this.angledTilt(brightness, maxTilt, sharpness);
     
     // Base height varies with brightness for additional depth cue
     const heightOffset = brightness * maxHeight * heightVar;
@@ -120,43 +177,117 @@ class MeshBuilder {
       return baseHeight + tiltOffset;
     };
     
-    const z0 = calcZ(p0.x, p0.y);
-    const z1 = calcZ(p1.x, p1.y);
-    const z2 = calcZ(p2.x, p2.y);
+    const heights = points.map(p => calcZ(p.x, p.y));
     
     // Ensure minimum thickness
-    const minZ = Math.min(z0, z1, z2);
+    const minZ = Math.min(...heights);
     const zOffset = minZ < baseZ * 0.5 ? baseZ * 0.5 - minZ : 0;
     
-    // Add vertices
-    const bi = verts.length / 3;
-    
-    // Bottom vertices (z = 0)
-    verts.push(p0.x, p0.y, 0);
-    verts.push(p1.x, p1.y, 0);
-    verts.push(p2.x, p2.y, 0);
+    return heights.map(z => z + zOffset);
+  }
+  
+  // Replace the tops of each region's facets with the area-weighted
+  // least-squares plane through them, so the region reads as one flat facet
+  // whatever method set the heights. Corners stay above half the base.
+  // Regions are grouped by facet[key]; a fixed gradient ({ gx, gy }, height
+  // per mm) keeps only the plane's mean height from the fit.
+  static flattenRegions(facets, points, heights, baseZ, key = 'region', gradient = null) {
+    const regions = new Map();
+    facets.forEach((facet, i) => {
+      const region = facet[key];
+      if (region === undefined || region < 0) return;
+      if (!regions.has(region)) regions.set(region, []);
+      regions.get(region).push(i);
+    });
+    
+    for (const members of regions.values()) {
+      if (members.length < 2 && !gradient) continue;
+      
+      // Each corner weighs its facet's area share
+      const weights = members.map(i => {
+        const poly = points[i];
+        let area = 0;
+        for (let k = 0; k < poly.length; k++) {
+          const p = poly[k], q = poly[(k + 1) % poly.length];
+          area += p.x * q.y - q.x * p.y;
+        }
+        return Math.abs(area) / 2 / poly.length;
+      });
+      
+      let sw = 0, sx = 0, sy = 0, sz = 0;
+      members.forEach((i, m) => {
+        points[i].forEach((p, k) => {
+          sw += weights[m];
+          sx += weights[m] * p.x;
+          sy += weights[m] * p.y;
+          sz += weights[m] * heights[i][k];
+        });
+      });
+      if (sw <= 0) continue;
+      
+      // Fit z = h + gx (x - cx) + gy (y - cy) about the weighted centre
+      const cx = sx / sw, cy = sy / sw, h = sz / sw;
+      let sxx = 0, sxy = 0, syy = 0, sxz = 0, syz = 0;
+      members.forEach((i, m) => {
+        points[i].forEach((p, k) => {
+          const dx = p.x - cx, dy = p.y - cy, dz = heights[i][k] - h;
+          sxx += weights[m] * dx * dx;
+          sxy += weights[m] * dx * dy;
+          syy += weights[m] * dy * dy;
+          sxz += weights[m] * dx * dz;
+          syz += weights[m] * dy * dz;
+        });
+      });
+      
+      const det = sxx * syy - sxy * sxy;
+      let gx = det > 1e-12 ? (sxz * syy - syz * sxy) / det : 0;
+      let gy = det > 1e-12 ? (syz * sxx - sxz * sxy) / det : 0;
+      if (gradient) ({ gx, gy } = gradient);
+      
+      const planes = members.map(i => points[i].map(p => h + gx * (p.x - cx) + gy * (p.y - cy)));
+      const minZ = Math.min(...planes.map(z => Math.min(...z)));
+      const zOffset = minZ < baseZ * 0.5 ? baseZ * 0.5 - minZ : 0;
+      
+      members.forEach((i, m) => {
+        heights[i] = planes[m].map(z => z + zOffset);
+      });
+    }
+  }
+  
+  // Mean of a facet's corners
+  static cornerCentroid(points) {
+    let cx = 0, cy = 0;
+    for (const p of points) {
+      cx += p.x;
+      cy += p.y;
+    }
+    return { cx: cx / points.length, cy: cy / points.length };
+  }
+  
+  // Signed tilt (radians) toward the light for a facet brightness
+  static angledTilt(brightness, maxTilt, sharpness) {
+    // === KEY CHANGE: Much more aggressive tilt mapping ===
+    // Map brightness to tilt: 
+    //   brightness 1.0 (white) -> tilt TOWARD light (positive tilt)
+    //   brightness 0.5 (mid)   -> no tilt
+    //   brightness 0.0 (black) -> tilt AWAY from light (negative tilt)
     
-    // Top vertices (tilted)
-    verts.push(p0.x, p0.y, z0 + zOffset);
-    verts.push(p1.x, p1.y, z1 + zOffset);
-    verts.push(p2.x, p2.y, z2 + zOffset);
+    // Apply power curve to exaggerate mid-tones
+    const adjustedBrightness = Math.pow(brightness, 0.7); // Boost midtones
     
-    // Top face
-    inds.push(bi + 3, bi + 4, bi + 5);
+    // Tilt factor: -1 to +1
+    const tiltFactor = (adjustedBrightness - 0.5) * 2;
     
-    // Bottom face (reversed winding)
-    inds.push(bi + 0, bi + 2, bi + 1);
+    // Apply sharpness - higher sharpness = more extreme angles
+    const sharpTilt = Math.sign(tiltFactor) * Math.pow(Math.abs(tiltFactor), 1 / (sharpness + 0.5));
     
-    // Side faces
-    this.addSideFace(verts, inds, p0, p1, 0, 0, z0 + zOffset, z1 + zOffset);
-    this.addSideFace(verts, inds, p1, p2, 0, 0, z1 + zOffset, z2 + zOffset);
-    this.addSideFace(verts, inds, p2, p0, 0, 0, z2 + zOffset, z0 + zOffset);
+    return sharpTilt * maxTilt;
   }
   
-  // Hybrid: combines tilt with per-vertex height variation
-  static addHybridFacet(verts, inds, p0, p1, p2, avgBrightness, b0, b1, b2, baseZ, maxHeight, maxTilt, lightDir, heightVar) {
-    const cx = (p0.x + p1.x + p2.x) / 3;
-    const cy = (p0.y + p1.y + p2.y) / 3;
+  // Hybrid: combines tilt with per-vertex height variation. cornerLevels
+  // (0-1) raise each corner: its brightness, or depth from a depth map.
+  static hybridFacetHeights(points, avgBrightness, cornerLevels, baseZ, maxHeight, maxTilt, lightDir, heightVar) {
+    const { cx, cy } = this.cornerCentroid(points);
     
     // Tilt based on average brightness
     const tiltFactor = (avgBrightness - 0.5) * 2;
@@ -165,63 +296,244 @@ class MeshBuilder {
     const tiltDirX = lightDir.x;
     const tiltDirY = lightDir.y;
     
-    const calcZ = (px, py, localBrightness) => {
+    const calcZ = (px, py, level) => {
       const dx = px - cx;
       const dy = py - cy;
       const distAlongLight = dx * tiltDirX + dy * tiltDirY;
       const tiltOffset = distAlongLight * Math.tan(tiltAmount);
       
       // Add per-vertex height variation
-      const heightOffset = localBrightness * maxHeight * heightVar;
+      const heightOffset = level * maxHeight * heightVar;
       
       return baseZ + heightOffset + tiltOffset;
     };
     
-    const z0 = calcZ(p0.x, p0.y, b0);
-    const z1 = calcZ(p1.x, p1.y, b1);
-    const z2 = calcZ(p2.x, p2.y, b2);
+    const heights = points.map((p, i) => calcZ(p.x, p.y, cornerLevels[i]));
     
-    const minZ = Math.min(z0, z1, z2);
+    const minZ = Math.min(...heights);
     const zOffset = minZ < baseZ * 0.3 ? baseZ * 0.3 - minZ : 0;
     
-    const bi = verts.length / 3;
+    return heights.map(z => z + zOffset);
+  }
+  
+  // Continuous surface: one height per vertex, shared by every facet around
+  // it, solved so each facet's slope is as close as possible (area-weighted
+  // least squares) to its target tilt. Bright facets lean toward the light.
+  // Returns the height at each corner of every triangle.
+  static continuousHeights(trianglePoints, tilts, lightDir, baseZ, maxHeight, onProgress = null) {
+    const startTime = performance.now();
+    const faceCount = trianglePoints.length;
+    
+    // Shared vertices, keyed by mm coords so tile copies still weld
+    const index = new Map();
+    const ids = new Uint32Array(faceCount * 3);
+    trianglePoints.forEach((pts, f) => {
+      pts.forEach((p, k) => {
+        const key = `${p.x.toFixed(4)},${p.y.toFixed(4)}`;
+        if (!index.has(key)) index.set(key, index.size);
+        ids[f * 3 + k] = index.get(key);
+      });
+    });
+    const n = index.size;
+    
+    // Unit horizontal direction toward the light
+    const horiz = Math.hypot(lightDir.x, lightDir.y);
+    const ux = horiz > 1e-9 ? lightDir.x / horiz : 0;
+    const uy = horiz > 1e-9 ? lightDir.y / horiz : 0;
+    
+    // Per face: area, gradient of each corner's hat function, target slope
+    const area = new Float64Array(faceCount);
+    const grad = new Float64Array(faceCount * 6);
+    const target = new Float64Array(faceCount * 2);
+    
+    for (let f = 0; f < faceCount; f++) {
+      const [p0, p1, p2] = trianglePoints[f];
+      const d = (p1.x - p0.x) * (p2.y - p0.y) - (p2.x - p0.x) * (p1.y - p0.y);
+      if (Math.abs(d) < 1e-12) continue;
+      
+      area[f] = Math.abs(d) / 2;
+      grad.set([
+        (p1.y - p2.y) / d, (p2.x - p1.x) / d,
+        (p2.y - p0.y) / d, (p0.x - p2.x) / d,
+        (p0.y - p1.y) / d, (p1.x - p0.x) / d
+      ], f * 6);
+      
+      // Facing the light means the surface drops toward it
+      const slope = Math.tan(tilts[f]);
+      target[f * 2] = -ux * slope;
+      target[f * 2 + 1] = -uy * slope;
+    }
+    
+    // Normal equations (sum_f area * G^T G + lambda I) z = sum_f area * G^T g + lambda * anchor,
+    // applied matrix-free. The anchor fixes the free constant offset and, when
+    // stiffened, trades long-range tilt for staying inside the relief height.
+    const anchor = baseZ + maxHeight * 0.5;
+    
+    const stiffness = new Float64Array(n);
+    const slopeRhs = new Float64Array(n);
+    for (let f = 0; f < faceCount; f++) {
+      if (area[f] === 0) continue;
+      for (let k = 0; k < 3; k++) {
+        const gx = grad[f * 6 + k * 2], gy = grad[f * 6 + k * 2 + 1];
+        slopeRhs[ids[f * 3 + k]] += area[f] * (gx * target[f * 2] + gy * target[f * 2 + 1]);
+        stiffness[ids[f * 3 + k]] += area[f] * (gx * gx + gy * gy);
+      }
+    }
+    
+    const z = new Float64Array(n).fill(anchor);
+    let lambda = 1e-3;
+    let iterations = 0;
+    
+    for (let attempt = 0; attempt < 8; attempt++) {
+      if (onProgress) onProgress(attempt / 8);
+      iterations += this.solveSurfaceCG(z, n, faceCount, ids, area, grad, stiffness, slopeRhs, lambda, anchor);
+      
+      let lo = Infinity, hi = -Infinity;
+      for (let i = 0; i < n; i++) {
+        lo = Math.min(lo, z[i]);
+        hi = Math.max(hi, z[i]);
+      }
+      if (hi - lo <= maxHeight) break;
+      lambda *= 4;
+    }
+    
+    // Keep the surface inside the relief envelope
+    let clamped = 0;
+    for (let i = 0; i < n; i++) {
+      const c = Math.max(baseZ, Math.min(baseZ + maxHeight, z[i]));
+      if (c !== z[i]) clamped++;
+      z[i] = c;
+    }
+    
+    console.log(`Continuous surface: ${n} vertices, ${iterations} CG iterations, anchor ${lambda}, ${clamped} clamped (${(performance.now() - startTime).toFixed(0)}ms)`);
+    
+    return trianglePoints.map((pts, f) => [z[ids[f * 3]], z[ids[f * 3 + 1]], z[ids[f * 3 + 2]]]);
+  }
+  
+  // Jacobi-preconditioned conjugate gradient on the continuous-surface
+  // normal equations, starting from (and updating) z. Returns the iteration count.
+  static solveSurfaceCG(z, n, faceCount, ids, area, grad, stiffness, slopeRhs, lambda, anchor) {
+    const applyA = (x, out) => {
+      for (let i = 0; i < n; i++) out[i] = lambda * x[i];
+      for (let f = 0; f < faceCount; f++) {
+        if (area[f] === 0) continue;
+        const g = f * 6;
+        const i0 = ids[f * 3], i1 = ids[f * 3 + 1], i2 = ids[f * 3 + 2];
+        const sx = grad[g] * x[i0] + grad[g + 2] * x[i1] + grad[g + 4] * x[i2];
+        const sy = grad[g + 1] * x[i0] + grad[g + 3] * x[i1] + grad[g + 5] * x[i2];
+        out[i0] += area[f] * (grad[g] * sx + grad[g + 1] * sy);
+        out[i1] += area[f] * (grad[g + 2] * sx + grad[g + 3] * sy);
+        out[i2] += area[f] * (grad[g + 4] * sx + grad[g + 5] * sy);
+      }
+    };
     
-    verts.push(p0.x, p0.y, 0);
-    verts.push(p1.x, p1.y, 0);
-    verts.push(p2.x, p2.y, 0);
-    verts.push(p0.x, p0.y, z0 + zOffset);
-    verts.push(p1.x, p1.y, z1 + zOffset);
-    verts.push(p2.x, p2.y, z2 + zOffset);
+    const r = new Float64Array(n);
+    const p = new Float64Array(n);
+    const q = new Float64Array(n);
+    const zr = new Float64Array(n);
+    
+    applyA(z, q);
+    let rhsNorm = 0;
+    let rho = 0;
+    for (let i = 0; i < n; i++) {
+      const rhs = slopeRhs[i] + lambda * anchor;
+      r[i] = rhs - q[i];
+      zr[i] = r[i] / (stiffness[i] + lambda);
+      p[i] = zr[i];
+      rhsNorm += rhs * rhs;
+      rho += r[i] * zr[i];
+    }
+    rhsNorm = Math.sqrt(rhsNorm);
+    
+    let iterations = 0;
+    const maxIterations = 2000;
     
-    inds.push(bi + 3, bi + 4, bi + 5);
-    inds.push(bi + 0, bi + 2, bi + 1);
+    while (iterations < maxIterations) {
+      let rNorm = 0;
+      for (let i = 0; i < n; i++) rNorm += r[i] * r[i];
+      if (Math.sqrt(rNorm) <= 1e-8 * rhsNorm) break;
+      
+      applyA(p, q);
+      let pq = 0;
+      for (let i = 0; i < n; i++) pq += p[i] * q[i];
+      if (pq <= 0) break;
+      
+      const step = rho / pq;
+      let rhoNext = 0;
+      for (let i = 0; i < n; i++) {
+        z[i] += step * p[i];
+        r[i] -= step * q[i];
+        zr[i] = r[i] / (stiffness[i] + lambda);
+        rhoNext += r[i] * zr[i];
+      }
+      
+      const beta = rhoNext / rho;
+      rho = rhoNext;
+      for (let i = 0; i < n; i++) p[i] = zr[i] + beta * p[i];
+      iterations++;
+    }
     
-    this.addSideFace(verts, inds, p0, p1, 0, 0, z0 + zOffset, z1 + zOffset);
-    this.addSideFace(verts, inds, p1, p2, 0, 0, z1 + zOffset, z2 + zOffset);
-    this.addSideFace(verts, inds, p2, p0, 0, 0, z2 + zOffset, z0 + zOffset);
+    return iterations;
   }
   
   // Pure heightmap
-  static addHeightmapFacet(verts, inds, p0, p1, p2, b0, b1, b2, baseZ, maxHeight) {
-    const z0 = baseZ + b0 * maxHeight;
-    const z1 = baseZ + b1 * maxHeight;
-    const z2 = baseZ + b2 * maxHeight;
+  static heightmapFacetHeights(cornerBrightness, baseZ, maxHeight) {
+    return cornerBrightness.map(b => baseZ + b * maxHeight);
+  }
+  
+  // A Voronoi cell cut to a concave outline corner is star-shaped from that
+  // corner, so it goes to the mesh as triangles fanned from there, keeping
+  // their corners' heights and so the facet's plane. Convex facets pass
+  // through whole.
+  static convexPieces(points, heights) {
+    const n = points.length;
+    let area = 0;
+    for (let i = 0; i < n; i++) {
+      const p = points[i], q = points[(i + 1) % n];
+      area += p.x * q.y - q.x * p.y;
+    }
     
+    for (let r = 0; r < n && n > 3; r++) {
+      const p = points[(r + n - 1) % n], c = points[r], q = points[(r + 1) % n];
+      const ux = c.x - p.x, uy = c.y - p.y, vx = q.x - c.x, vy = q.y - c.y;
+      const turn = (ux * vy - uy * vx) * Math.sign(area);
+      if (turn >= -1e-9 * Math.hypot(ux, uy) * Math.hypot(vx, vy)) continue;
+      
+      const pieces = [];
+      for (let j = 1; j < n - 1; j++) {
+        const corners = [r, (r + j) % n, (r + j + 1) % n];
+        pieces.push({ points: corners.map(k => points[k]), heights: corners.map(k => heights[k]) });
+      }
+      return pieces;
+    }
+    return [{ points, heights }];
+  }
+  
+  // Independent prism: flat bottom at z=0, tilted top and a side wall per
+  // edge. Convex facets are fanned from their first corner.
+  static addPrism(verts, inds, points, heights) {
     const bi = verts.length / 3;
+    const n = points.length;
+    
+    // Bottom vertices (z = 0)
+    for (const p of points) verts.push(p.x, p.y, 0);
     
-    verts.push(p0.x, p0.y, 0);
-    verts.push(p1.x, p1.y, 0);
-    verts.push(p2.x, p2.y, 0);
-    verts.push(p0.x, p0.y, z0);
-    verts.push(p1.x, p1.y, z1);
-    verts.push(p2.x, p2.y, z2);
+    // Top vertices
+    points.forEach((p, i) => verts.push(p.x, p.y, heights[i]));
     
-    inds.push(bi + 3, bi + 4, bi + 5);
-    inds.push(bi + 0, bi + 2, bi + 1);
+    for (let i = 1; i < n - 1; i++) {
+      // Top face
+      inds.push(bi + n, bi + n + i, bi + n + i + 1);
+      
+      // Bottom face (reversed winding)
+      inds.push(bi, bi + i + 1, bi + i);
+    }
     
-    this.addSideFace(verts, inds, p0, p1, 0, 0, z0, z1);
-    this.addSideFace(verts, inds, p1, p2, 0, 0, z1, z2);
-    this.addSideFace(verts, inds, p2, p0, 0, 0, z2, z0);
+    // Side faces
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      this.addSideFace(verts, inds, points[i], points[j], 0, 0, heights[i], heights[j]);
+    }
   }
   
   // Add a side face (quad as 2 triangles)
@@ -252,31 +564,29 @@ class MeshBuilder {
     const minY = tileRow * tileHeightNorm;
     const maxY = (tileRow + 1) * tileHeightNorm;
     
-    // Filter and transform triangles for this tile
-    const tileTriangles = [];
+    // Filter and transform facets for this tile
+    const tileFacets = [];
     
-    for (const tri of geometry.triangles) {
-      const [v0, v1, v2] = tri.vertices;
-      
-      // Check if triangle intersects tile
-      const inTile = (v) => v.x >= minX - 0.01 && v.x <= maxX + 0.01 && 
-                           v.y >= minY - 0.01 && v.y <= maxY + 0.01;
-      
-      if (inTile(v0) || inTile(v1) || inTile(v2) || 
-          (tri.center.x >= minX && tri.center.x <= maxX && 
-           tri.center.y >= minY && tri.center.y <= maxY)) {
+    // Check if a corner falls in the tile
+    const inTile = (v) => v.x >= minX - 0.01 && v.x <= maxX + 0.01 && 
+                         v.y >= minY - 0.01 && v.y <= maxY + 0.01;
+    
+    for (const facet of geometry.facets) {
+      if (facet.vertices.some(inTile) || 
+          (facet.center.x >= minX && facet.center.x <= maxX && 
+           facet.center.y >= minY && facet.center.y <= maxY)) {
         
         // Remap vertices to tile coords
-        tileTriangles.push({
-          ...tri,
-          vertices: tri.vertices.map(v => ({
+        tileFacets.push({
+          ...facet,
+          vertices: facet.vertices.map(v => ({
             ...v,
             x: (v.x - minX) / tileWidthNorm,
             y: (v.y - minY) / tileHeightNorm
           })),
           center: {
-            x: (tri.center.x - minX) / tileWidthNorm,
-            y: (tri.center.y - minY) / tileHeightNorm
+            x: (facet.center.x - minX) / tileWidthNorm,
+            y: (facet.center.y - minY) / tileHeightNorm
           }
         });
       }
@@ -288,6 +598,6 @@ class MeshBuilder {
       outputHeightMM: usableHeight + cfg.tileOverlap
     };
     
-    return this.build({ triangles: tileTriangles }, tileCfg);
+    return this.build({ facets: tileFacets }, tileCfg);
   }
 }
\ No newline at end of file
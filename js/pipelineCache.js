@@ -0,0 +1,150 @@
+// Staged generation cache
+//
+// Generation runs brightness map -> points -> triangulation -> mesh. Each
+// stage's result is stored under a key built from the config fields it reads
+// plus the key of the stage before it, so an edit only reruns the stages that
+// depend on it: a tilt or light change rebuilds the mesh on the same points
+// and triangles, while a density change resamples everything downstream.
+
+const PIPELINE_STAGES = [
+  {
+    name: 'brightness',
+    deps: (cfg, sources) => [
+      sources.image, ImageAnalyzer.grayscaleSettings(cfg),
+      cfg.gamma, cfg.contrast, cfg.brightness, cfg.invertBrightness,
+      cfg.blackPoint, cfg.whitePoint,
+      cfg.equalize, cfg.equalize ? [cfg.claheTileSize, cfg.claheClipLimit] : null
+    ]
+  },
+  {
+    name: 'points',
+    deps: (cfg) => [
+      cfg.pointStrategy, cfg.cellDensity, cfg.edgeSensitivity, cfg.jitter, cfg.seed, cfg.anisotropy,
+      // A budget counts facets, which depend on their shape
+      cfg.facetBudget, cfg.facetBudget > 0 ? cfg.facetShape : null,
+      // ...and on refinement, which budget passes run too
+      cfg.facetBudget > 0 && cfg.minAngle > 0 ? [cfg.minAngle, cfg.minEdgeMM, cfg.outputWidthMM, cfg.outputHeightMM] : null,
+      cfg.adaptiveSizing, cfg.minCellScale, cfg.maxCellScale,
+      cfg.relaxIterations, cfg.relaxWeighting,
+      // The painted mask is run-length encoded, so it keys cheaply
+      cfg.detailMask, cfg.detailMask ? cfg.maskStrength : null,
+      cfg.constrainEdges, cfg.contourThreshold,
+      // The cut-out's outline replaces the border points
+      cfg.silhouetteMode !== 'off' ? ImageAnalyzer.silhouetteKey(cfg) : null,
+      // Preset shapes are laid out in mm
+      cfg.outlineShape, cfg.outlineShape !== 'rectangle' ? [cfg.outputWidthMM, cfg.outputHeightMM] : null,
+      cfg.outlineShape === 'rounded' ? cfg.cornerRadiusMM : null,
+      cfg.latticeDiagonal, cfg.latticeAngle,
+      // Lattices are laid out in print proportions
+      PointGenerator.isLattice(cfg) ? cfg.outputHeightMM / cfg.outputWidthMM : null
+    ]
+  },
+  {
+    // The second image is only sampled per facet in dual mode, the depth
+    // map per corner in hybrid mode
+    name: 'triangulation',
+    deps: (cfg, sources) => [
+      cfg.facetShape, cfg.reliefMethod === 'dual' ? sources.secondImage : null, cfg.regionCount,
+      cfg.reliefMethod === 'hybrid' ? [sources.depthImage, cfg.invertDepth] : null,
+      // Refinement measures angles and edges in mm
+      cfg.minAngle, cfg.minAngle > 0 ? [cfg.minEdgeMM, cfg.outputWidthMM, cfg.outputHeightMM] : null
+    ]
+  },
+  {
+    name: 'mesh',
+    deps: (cfg) => [
+      cfg.reliefMethod, cfg.maxTiltAngle, cfg.baseThickness, cfg.maxReliefHeight,
+      cfg.heightVariation, cfg.facetSharpness,
+      cfg.lightAzimuth, cfg.lightElevation, cfg.secondLightAzimuth, cfg.secondLightElevation,
+      cfg.outputWidthMM, cfg.outputHeightMM, cfg.watertightMesh,
+      cfg.detailMask ? cfg.maskTiltAngle : null
+    ]
+  }
+];
+
+class PipelineCache {
+  constructor(stages = PIPELINE_STAGES) {
+    this.stages = stages;
+    this.entries = new Map();
+    
+    // Versions of inputs that are not part of the config (loaded images)
+    this.sources = {};
+  }
+  
+  setSource(name, version) {
+    this.sources[name] = version;
+  }
+  
+  stageIndex(name) {
+    return this.stages.findIndex(stage => stage.name === name);
+  }
+  
+  // Key for a stage: its own dependencies chained onto its upstream key
+  keyFor(name, cfg) {
+    let key = '';
+    for (const stage of this.stages) {
+      key += JSON.stringify(stage.deps(cfg, this.sources)) + '|';
+      if (stage.name === name) return key;
+    }
+    throw new Error(`Unknown pipeline stage: ${name}`);
+  }
+  
+  // Index of the first stage that has to run for cfg (stages.length if none)
+  firstInvalid(cfg) {
+    for (let i = 0; i < this.stages.length; i++) {
+      const name = this.stages[i].name;
+      const entry = this.entries.get(name);
+      if (!entry || entry.key !== this.keyFor(name, cfg)) return i;
+    }
+    return this.stages.length;
+  }
+  
+  get(name) {
+    const entry = this.entries.get(name);
+    return entry ? entry.value : null;
+  }
+  
+  store(name, cfg, value) {
+    this.entries.set(name, { key: this.keyFor(name, cfg), value });
+  }
+  
+  // Drop a stage and everything downstream of it
+  invalidate(name) {
+    const index = this.stageIndex(name);
+    for (let i = Math.max(0, index); i < this.stages.length; i++) {
+      this.entries.delete(this.stages[i].name);
+    }
+  }
+  
+  clear() {
+    this.entries.clear();
+  }
+  
+  // Run the named heavy stages in order (points, triangulation, mesh), taking
+  // upstream results from inputs. Shared by the worker and the main-thread
+  // fallback. Brightness maps must already be on the analyzers.
+  static runStages(names, inputs, analyzer, cfg, secondAnalyzer = null, onProgress = null) {
+    const report = (stage) => onProgress ? (fraction) => onProgress(stage, fraction) : null;
+    const outputs = {};
+    let points = inputs.points;
+    let geometry = inputs.triangulation;
+    
+    if (names.includes('points')) {
+      points = GeometryGenerator.generatePoints(analyzer, cfg, report('points'));
+      outputs.points = points;
+    }
+    
+    if (names.includes('triangulation')) {
+      geometry = GeometryGenerator.triangulate(
+        points.points, points.segments, points.outline, analyzer, cfg, secondAnalyzer, report('triangulation')
+      );
+      outputs.triangulation = geometry;
+    }
+    
+    if (names.includes('mesh')) {
+      outputs.mesh = MeshBuilder.build(geometry, cfg, onProgress);
+    }
+    
+    return outputs;
+  }
+}
\ No newline at end of file
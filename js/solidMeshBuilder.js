@@ -0,0 +1,345 @@
+// Welded, 2-manifold solid from per-facet top heights
+//
+// Each facet is a polygon in the XY plane (mm) with a height for every corner.
+// Instead of emitting an independent prism per facet, the relief is treated as
+// the union of those prisms: one shared bottom plate at z=0, the facet tops,
+// vertical step walls only where neighbouring tops actually differ, and a
+// perimeter skirt along boundary edges.
+//
+// Vertices on the vertical line through a 2D point are split per height level
+// and per connected "wedge" of solid sectors around that point, so configurations
+// where two taller facets touch only along a line still produce a manifold mesh.
+
+class SolidMeshBuilder {
+  // facets: [{ points: [{x, y}, ...], heights: [z, ...] }]
+  // onProgress(fraction) is called while the vertex columns and walls are built
+  static build(facets, onProgress = null) {
+    const startTime = performance.now();
+    
+    const verts = [];
+    const inds = [];
+    const vertexMap = new Map();
+    
+    // === 1. Index 2D points and facet corners ===
+    const pointMap = new Map();
+    const points = [];
+    
+    const faces = facets.map((facet, fi) => {
+      const ids = facet.points.map(p => {
+        const key = `${p.x.toFixed(4)},${p.y.toFixed(4)}`;
+        if (!pointMap.has(key)) {
+          pointMap.set(key, points.length);
+          points.push({ x: p.x, y: p.y, sectors: [] });
+        }
+        return pointMap.get(key);
+      });
+      
+      // Snap heights to 0.1 micron so equal steps weld exactly
+      const heights = facet.heights.map(z => Math.round(z * 1e4) / 1e4);
+      
+      // Corners closer than the weld key (nearly cocircular Voronoi sites)
+      // land on one point; keep only the first of each run
+      const distinct = ids.map((id, i) => i === 0 || id !== ids[i - 1]);
+      for (let i = ids.length - 1; i > 0 && ids[i] === ids[0]; i--) distinct[i] = false;
+      
+      let cx = 0, cy = 0;
+      for (const p of facet.points) {
+        cx += p.x;
+        cy += p.y;
+      }
+      
+      return {
+        index: fi,
+        ids: ids.filter((id, i) => distinct[i]),
+        heights: heights.filter((z, i) => distinct[i]),
+        center: { x: cx / ids.length, y: cy / ids.length }
+      };
+    }).filter(face => face.ids.length >= 3);
+    
+    // === 2. Edge map (undirected) ===
+    const edges = new Map();
+    
+    for (const face of faces) {
+      const n = face.ids.length;
+      for (let i = 0; i < n; i++) {
+        const a = face.ids[i];
+        const b = face.ids[(i + 1) % n];
+        if (a === b) continue;
+        
+        const key = a < b ? `${a},${b}` : `${b},${a}`;
+        if (!edges.has(key)) edges.set(key, { a, b, faces: [], cross: null });
+        edges.get(key).faces.push(face);
+        
+        points[a].sectors.push(face);
+      }
+    }
+    
+    // === 3. Per-point sector order, height levels and solid wedges ===
+    for (let pi = 0; pi < points.length; pi++) {
+      if (onProgress && (pi & 4095) === 0) onProgress(0.5 * pi / points.length);
+      this.prepareVertexColumn(pi, points[pi], edges);
+    }
+    
+    // Vertex on the vertical line through point pi at height z, in the wedge
+    // of solid sectors that contains `face`
+    const vertexAt = (pi, z, face) => {
+      const pt = points[pi];
+      const level = this.findLevel(pt.levels, z);
+      const comp = pt.components[level][pt.sectorIndex.get(face)];
+      const key = `${pi}:${level}:${comp}`;
+      
+      if (!vertexMap.has(key)) {
+        vertexMap.set(key, verts.length / 3);
+        verts.push(pt.x, pt.y, pt.levels[level]);
+      }
+      return vertexMap.get(key);
+    };
+    
+    const addVertex = (x, y, z) => {
+      verts.push(x, y, z);
+      return verts.length / 3 - 1;
+    };
+    
+    // Emit a triangle, flipping winding so its normal faces `dir`
+    const emit = (i0, i1, i2, dir) => {
+      const ax = verts[i1 * 3] - verts[i0 * 3];
+      const ay = verts[i1 * 3 + 1] - verts[i0 * 3 + 1];
+      const az = verts[i1 * 3 + 2] - verts[i0 * 3 + 2];
+      const bx = verts[i2 * 3] - verts[i0 * 3];
+      const by = verts[i2 * 3 + 1] - verts[i0 * 3 + 1];
+      const bz = verts[i2 * 3 + 2] - verts[i0 * 3 + 2];
+      
+      const nx = ay * bz - az * by;
+      const ny = az * bx - ax * bz;
+      const nz = ax * by - ay * bx;
+      
+      if (nx * dir.x + ny * dir.y + nz * dir.z < 0) {
+        inds.push(i0, i2, i1);
+      } else {
+        inds.push(i0, i1, i2);
+      }
+    };
+    
+    const heightAt = (face, pi) => face.heights[face.ids.indexOf(pi)];
+    
+    // === 4. Step walls and perimeter skirt ===
+    let wallCount = 0;
+    let nonManifoldEdges = 0;
+    
+    let edgeIndex = 0;
+    for (const edge of edges.values()) {
+      const { a, b } = edge;
+      if (onProgress && (edgeIndex++ & 4095) === 0) onProgress(0.5 + 0.5 * edgeIndex / edges.size);
+      
+      if (edge.faces.length > 2) {
+        nonManifoldEdges++;
+        continue;
+      }
+      
+      const f1 = edge.faces[0];
+      const f2 = edge.faces[1] || null;
+      
+      const h1a = heightAt(f1, a), h1b = heightAt(f1, b);
+      const h2a = f2 ? heightAt(f2, a) : 0;
+      const h2b = f2 ? heightAt(f2, b) : 0;
+      
+      const da = h1a - h2a;
+      const db = h1b - h2b;
+      
+      if (da === 0 && db === 0) continue;
+      
+      const pa = points[a];
+      const pb = points[b];
+      
+      // Vertical chain of vertices at a point, from the lower to the taller top
+      const column = (pi, tall, lo, hi) =>
+        points[pi].levels.filter(z => z >= lo && z <= hi).map(z => vertexAt(pi, z, tall));
+      
+      if (f2 && da * db < 0) {
+        // Tops cross along the edge: split the wall at the crossing point
+        const t = da / (da - db);
+        const x = pa.x + (pb.x - pa.x) * t;
+        const y = pa.y + (pb.y - pa.y) * t;
+        const z = h1a + (h1b - h1a) * t;
+        const xi = addVertex(x, y, z);
+        edge.cross = xi;
+        
+        const tallA = da > 0 ? f1 : f2;
+        const tallB = db > 0 ? f1 : f2;
+        
+        this.addWall(emit, verts,
+          column(a, tallA, Math.min(h1a, h2a), Math.max(h1a, h2a)), [xi],
+          pa, pb, tallA.center);
+        this.addWall(emit, verts,
+          [xi], column(b, tallB, Math.min(h1b, h2b), Math.max(h1b, h2b)),
+          pa, pb, tallB.center);
+        wallCount += 2;
+      } else {
+        const tall = (da > 0 || db > 0) ? f1 : f2;
+        
+        this.addWall(emit, verts,
+          column(a, tall, Math.min(h1a, h2a), Math.max(h1a, h2a)),
+          column(b, tall, Math.min(h1b, h2b), Math.max(h1b, h2b)),
+          pa, pb, tall.center);
+        wallCount++;
+      }
+    }
+    
+    // === 5. Facet tops (including any crossing points on their edges) ===
+    const up = { x: 0, y: 0, z: 1 };
+    const down = { x: 0, y: 0, z: -1 };
+    
+    for (const face of faces) {
+      const n = face.ids.length;
+      const ring = [];
+      
+      for (let i = 0; i < n; i++) {
+        const a = face.ids[i];
+        const b = face.ids[(i + 1) % n];
+        ring.push(vertexAt(a, face.heights[i], face));
+        
+        const key = a < b ? `${a},${b}` : `${b},${a}`;
+        const edge = edges.get(key);
+        if (edge && edge.cross !== null) ring.push(edge.cross);
+      }
+      
+      if (ring.length === 3) {
+        emit(ring[0], ring[1], ring[2], up);
+      } else {
+        // Fan from the centroid, which lies on the facet plane
+        let cz = 0;
+        for (const z of face.heights) cz += z;
+        const ci = addVertex(face.center.x, face.center.y, cz / n);
+        
+        for (let i = 0; i < ring.length; i++) {
+          emit(ci, ring[i], ring[(i + 1) % ring.length], up);
+        }
+      }
+    }
+    
+    // === 6. Bottom plate ===
+    for (const face of faces) {
+      const n = face.ids.length;
+      const ring = face.ids.map(pi => vertexAt(pi, 0, face));
+      
+      if (n === 3) {
+        emit(ring[0], ring[1], ring[2], down);
+      } else {
+        const ci = addVertex(face.center.x, face.center.y, 0);
+        for (let i = 0; i < n; i++) {
+          emit(ci, ring[i], ring[(i + 1) % n], down);
+        }
+      }
+    }
+    
+    if (nonManifoldEdges > 0) {
+      console.warn(`Solid mesh: skipped ${nonManifoldEdges} edges shared by more than two facets`);
+    }
+    
+    console.log(`Solid mesh: ${verts.length / 3} vertices, ${inds.length / 3} triangles, ${wallCount} step walls (${(performance.now() - startTime).toFixed(0)}ms)`);
+    
+    return {
+      vertices: new Float32Array(verts),
+      indices: new Uint32Array(inds),
+      triangleCount: inds.length / 3
+    };
+  }
+  
+  // Sort the facets around a point, find which neighbours share an edge, and
+  // label the connected wedges of solid at every height level on its column
+  static prepareVertexColumn(pi, pt, edges) {
+    const sectors = pt.sectors
+      .map(face => ({ face, angle: Math.atan2(face.center.y - pt.y, face.center.x - pt.x) }))
+      .sort((s, t) => s.angle - t.angle)
+      .map(s => s.face);
+    
+    const k = sectors.length;
+    pt.sectorIndex = new Map(sectors.map((face, i) => [face, i]));
+    
+    // Faces that share an edge through this point
+    const neighbours = new Map(sectors.map(face => [face, new Set()]));
+    for (const face of sectors) {
+      const n = face.ids.length;
+      const ci = face.ids.indexOf(pi);
+      for (const other of [face.ids[(ci + 1) % n], face.ids[(ci + n - 1) % n]]) {
+        const key = pi < other ? `${pi},${other}` : `${other},${pi}`;
+        const edge = edges.get(key);
+        if (!edge) continue;
+        for (const f of edge.faces) {
+          if (f !== face) neighbours.get(face).add(f);
+        }
+      }
+    }
+    
+    const linked = sectors.map((face, i) =>
+      k > 1 && neighbours.get(face).has(sectors[(i + 1) % k]));
+    
+    const heights = sectors.map(face => face.heights[face.ids.indexOf(pi)]);
+    
+    const levelSet = new Set([0, ...heights]);
+    pt.levels = [...levelSet].sort((p, q) => p - q);
+    
+    // components[level][sector] = wedge id, or -1 where the sector is below the level
+    pt.components = pt.levels.map(z => {
+      const comp = heights.map((h, i) => (h >= z ? i : -1));
+      
+      // Union neighbouring active sectors (two passes close the cycle)
+      for (let pass = 0; pass < 2; pass++) {
+        for (let i = 0; i < k; i++) {
+          const j = (i + 1) % k;
+          if (linked[i] && comp[i] >= 0 && comp[j] >= 0 && comp[j] !== comp[i]) {
+            const from = Math.max(comp[i], comp[j]);
+            const to = Math.min(comp[i], comp[j]);
+            for (let s = 0; s < k; s++) {
+              if (comp[s] === from) comp[s] = to;
+            }
+          }
+        }
+      }
+      
+      return comp;
+    });
+  }
+  
+  static findLevel(levels, z) {
+    let lo = 0, hi = levels.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (levels[mid] < z) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+  
+  // Vertical wall between two columns of vertices (each ordered bottom to top),
+  // facing away from the taller facet
+  static addWall(emit, verts, colA, colB, pa, pb, tallCenter) {
+    // Horizontal normal of the edge, pointing away from the taller facet
+    let nx = pb.y - pa.y;
+    let ny = pa.x - pb.x;
+    const mx = (pa.x + pb.x) / 2 - tallCenter.x;
+    const my = (pa.y + pb.y) / 2 - tallCenter.y;
+    if (nx * mx + ny * my < 0) {
+      nx = -nx;
+      ny = -ny;
+    }
+    const dir = { x: nx, y: ny, z: 0 };
+    
+    const z = (vi) => verts[vi * 3 + 2];
+    
+    // Zip the two columns together
+    let i = 0, j = 0;
+    while (i < colA.length - 1 || j < colB.length - 1) {
+      const advanceA = j >= colB.length - 1 ||
+        (i < colA.length - 1 && z(colA[i + 1]) <= z(colB[j + 1]));
+      
+      if (advanceA) {
+        emit(colA[i], colB[j], colA[i + 1], dir);
+        i++;
+      } else {
+        emit(colA[i], colB[j], colB[j + 1], dir);
+        j++;
+      }
+    }
+  }
+}
\ No newline at end of file
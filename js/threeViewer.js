@@ -7,6 +7,8 @@ class ThreeViewer {
     this.camera = null;
     this.renderer = null;
     this.mesh = null;
+    this.edges = null;
+    this.wireframe = false;
     this.directionalLight = null;
     this.animationId = null;
     this.autoRotate = false;
@@ -218,6 +220,8 @@ class ThreeViewer {
     this.camera.lookAt(target);
   }
   
+  // Same direction as config.getLightDirection(): the mesh is shown unrotated,
+  // so its relief height runs along the scene's z axis
   updateLightPosition(azimuth, elevation) {
     const az = azimuth * Math.PI / 180;
     const el = elevation * Math.PI / 180;
@@ -225,18 +229,20 @@ class ThreeViewer {
     const dist = 300;
     this.directionalLight.position.set(
       dist * Math.cos(el) * Math.sin(az),
-      dist * Math.sin(el),
-      dist * Math.cos(el) * Math.cos(az)
+      dist * Math.cos(el) * Math.cos(az),
+      dist * Math.sin(el)
     );
   }
   
-  updateMesh(meshData, cfg) {
+  // keepView leaves the camera alone, for live rebuilds while orbiting
+  updateMesh(meshData, cfg, keepView = false) {
     // Remove old mesh
     if (this.mesh) {
       this.scene.remove(this.mesh);
       this.mesh.geometry.dispose();
       this.mesh.material.dispose();
     }
+    this.disposeEdges();
     
     // Create geometry
     const geometry = new THREE.BufferGeometry();
@@ -266,8 +272,9 @@ class ThreeViewer {
     this.mesh.position.set(-center.x, -box.min.z, -center.y);
     
     this.scene.add(this.mesh);
+    this.setWireframe(this.wireframe);
     
-    this.fitToObject();
+    if (!keepView) this.fitToObject();
     this.updateLightPosition(cfg.lightAzimuth, cfg.lightElevation);
     
     return true;
@@ -307,10 +314,28 @@ class ThreeViewer {
     this.updateCameraPosition();
   }
   
+  // Wireframe outlines whole facets: edges between coplanar triangles (the
+  // fans that split polygon facets) are left out
   setWireframe(enabled) {
-    if (this.mesh && this.mesh.material) {
-      this.mesh.material.wireframe = enabled;
+    this.wireframe = enabled;
+    if (!this.mesh) return;
+    
+    if (enabled && !this.edges) {
+      this.edges = new THREE.LineSegments(
+        new THREE.EdgesGeometry(this.mesh.geometry, 1),
+        new THREE.LineBasicMaterial({ color: 0x202020 })
+      );
+      this.mesh.add(this.edges);
     }
+    if (this.edges) this.edges.visible = enabled;
+  }
+  
+  disposeEdges() {
+    if (!this.edges) return;
+    this.edges.parent?.remove(this.edges);
+    this.edges.geometry.dispose();
+    this.edges.material.dispose();
+    this.edges = null;
   }
   
   setAutoRotate(enabled) {
@@ -1,4 +1,4 @@
-// UI Builder - Manual generation, no auto-update
+// UI Builder - Generate builds the first mesh, later edits rebuild live
 
 class UI {
   constructor() {
@@ -9,9 +9,25 @@ class UI {
     this.progress = document.getElementById('progress');
     
     this.onImageLoad = null;
+    this.onSecondImageLoad = null;
+    this.onDepthImageLoad = null;
     this.onGenerate = null;
+    this.onCancel = null;
     this.onExport = null;
     this.onPreviewUpdate = null;
+    this.onAutoLevels = null;
+    this.onImagePreview = null;
+    
+    // Which designed light the 3D preview uses ('A' or 'B')
+    this.previewLight = 'A';
+    
+    // Tab shown in the 2D image preview (see IMAGE_PREVIEW_TABS) and what
+    // dragging on its frame tab edits ('crop' or 'perspective')
+    this.imagePreviewTab = 'brightness';
+    this.frameMode = 'crop';
+    
+    // Brush the mask tab paints with (see MASK_BRUSHES)
+    this.maskBrush = 'more';
   }
   
   build() {
@@ -24,6 +40,7 @@ class UI {
   buildSidebar() {
     this.sidebar.innerHTML = `
       ${this.buildPanel('Image', 'image', this.buildImageSection())}
+      ${this.buildPanel('Image Preview', 'image-preview', this.buildImagePreviewSection())}
       ${this.buildPanel('Geometry', 'geometry', this.buildGeometrySection())}
       ${this.buildPanel('Relief', 'relief', this.buildReliefSection())}
       ${this.buildPanel('Lighting', 'lighting', this.buildLightingSection())}
@@ -54,6 +71,14 @@ class UI {
     const toggle = document.getElementById(`toggle-${id}`);
     if (content) content.classList.toggle('collapsed');
     if (toggle) toggle.classList.toggle('collapsed');
+    
+    // The image preview skips redraws while collapsed
+    if (id === 'image-preview' && this.isPanelOpen(id) && this.onImagePreview) this.onImagePreview();
+  }
+  
+  isPanelOpen(id) {
+    const content = document.getElementById(`content-${id}`);
+    return !!content && !content.classList.contains('collapsed');
   }
   
   buildImageSection() {
@@ -65,32 +90,195 @@ class UI {
         <img id="preview-thumb" class="preview-thumb" style="display:none">
       </div>
       
+      <div class="drop-zone" id="drop-zone-b">
+        <div class="drop-zone-text">Second image (Dual Image relief)</div>
+        <input type="file" id="file-input-b" accept="image/*" style="display:none">
+        <img id="preview-thumb-b" class="preview-thumb" style="display:none">
+      </div>
+      
+      <div class="drop-zone" id="drop-zone-depth">
+        <div class="drop-zone-text">Depth map (Hybrid relief)</div>
+        <input type="file" id="file-input-depth" accept="image/*" style="display:none">
+        <img id="preview-thumb-depth" class="preview-thumb" style="display:none">
+      </div>
+      <label class="checkbox-row">
+        <input type="checkbox" id="invertDepth" ${config.get('invertDepth') ? 'checked' : ''}>
+        Depth map is black = near
+      </label>
+      <div class="help-text">A portrait-mode depth map of the same photo: it sets Hybrid relief's heights while brightness still sets the tilt</div>
+      
+      <div class="form-group">
+        <label class="form-label">Brightness Source</label>
+        <select id="grayscaleMode">
+          <option value="luminance" ${config.get('grayscaleMode') === 'luminance' ? 'selected' : ''}>Luminance</option>
+          <option value="lightness" ${config.get('grayscaleMode') === 'lightness' ? 'selected' : ''}>Perceptual Lightness (L*)</option>
+          <option value="mixer" ${config.get('grayscaleMode') === 'mixer' ? 'selected' : ''}>Channel Mixer</option>
+          <option value="saturation" ${config.get('grayscaleMode') === 'saturation' ? 'selected' : ''}>Saturation</option>
+          <option value="hue" ${config.get('grayscaleMode') === 'hue' ? 'selected' : ''}>Hue Band</option>
+        </select>
+      </div>
+      ${this.buildSlider('mixerRed', 'Mixer Red', 0, 1, 0.01, config.get('mixerRed'))}
+      ${this.buildSlider('mixerGreen', 'Mixer Green', 0, 1, 0.01, config.get('mixerGreen'))}
+      ${this.buildSlider('mixerBlue', 'Mixer Blue', 0, 1, 0.01, config.get('mixerBlue'))}
+      ${this.buildSlider('hueCenter', 'Hue', 0, 360, 1, config.get('hueCenter'), '°')}
+      ${this.buildSlider('hueWidth', 'Hue Width', 5, 180, 1, config.get('hueWidth'), '°')}
+      <div class="help-text">What the relief and edge detection treat as light. Use the mixer or a hue band to separate colours of equal luminance.</div>
+      
       ${this.buildSlider('contrast', 'Contrast', 0.5, 4, 0.1, config.get('contrast'))}
       ${this.buildSlider('gamma', 'Gamma', 0.5, 3, 0.1, config.get('gamma'))}
       ${this.buildSlider('brightness', 'Brightness', -0.5, 0.5, 0.05, config.get('brightness'))}
       
+      ${this.buildSlider('blackPoint', 'Black Point', 0, 1, 0.01, config.get('blackPoint'))}
+      ${this.buildSlider('whitePoint', 'White Point', 0, 1, 0.01, config.get('whitePoint'))}
+      <button class="btn btn-secondary" id="btn-auto-levels" title="Set black and white points from the image histogram">Auto Levels</button>
+      <div class="help-text">Stretch the image's used range to full black and white</div>
+      
+      <label class="checkbox-row">
+        <input type="checkbox" id="equalize" ${config.get('equalize') ? 'checked' : ''}>
+        Local contrast (CLAHE)
+      </label>
+      ${this.buildSlider('claheTileSize', 'Tile Size (% of image)', 5, 50, 1, config.get('claheTileSize'))}
+      ${this.buildSlider('claheClipLimit', 'Clip Limit', 1, 8, 0.5, config.get('claheClipLimit'))}
+      <div class="help-text">Brings out detail in flat or backlit areas; smaller tiles and higher limits are stronger</div>
+      
       <label class="checkbox-row">
         <input type="checkbox" id="invertBrightness" ${config.get('invertBrightness') ? 'checked' : ''}>
         Invert brightness (dark = raised)
       </label>
+      
+      <div class="form-group">
+        <label class="form-label">Cut-Out</label>
+        <select id="silhouetteMode">
+          <option value="off" ${config.get('silhouetteMode') === 'off' ? 'selected' : ''}>Off (Full Rectangle)</option>
+          <option value="alpha" ${config.get('silhouetteMode') === 'alpha' ? 'selected' : ''}>Transparent Areas</option>
+          <option value="brightness" ${config.get('silhouetteMode') === 'brightness' ? 'selected' : ''}>Light Background</option>
+          <option value="flood" ${config.get('silhouetteMode') === 'flood' ? 'selected' : ''}>Background Colour</option>
+        </select>
+      </div>
+      ${this.buildSlider('silhouetteThreshold', 'Cut-Out Threshold', 0.05, 0.95, 0.05, config.get('silhouetteThreshold'))}
+      <div class="form-group">
+        <label class="form-label">Background Colour</label>
+        <input type="color" id="silhouetteColor" value="${config.get('silhouetteColor')}">
+      </div>
+      ${this.buildSlider('silhouetteTolerance', 'Colour Tolerance', 0, 0.5, 0.01, config.get('silhouetteTolerance'))}
+      <div class="help-text">Print only the subject's shape. The threshold is the opacity (transparent areas) or brightness (light background) that separates subject from background; Background Colour removes that colour where it reaches the image border.</div>
+    `;
+  }
+  
+  buildImagePreviewSection() {
+    const labels = { frame: 'Frame', brightness: 'Processed', edges: 'Edges', contrast: 'Contrast', mesh: 'Facets', mask: 'Mask' };
+    return `
+      <div class="preview-tabs">
+        ${IMAGE_PREVIEW_TABS.map(tab => `
+          <button class="preview-tab ${tab === this.imagePreviewTab ? 'active' : ''}" data-tab="${tab}">${labels[tab]}</button>
+        `).join('')}
+      </div>
+      <canvas id="image-preview-canvas" class="image-preview" width="320" height="0"></canvas>
+      <div class="help-text" id="image-preview-info">Load an image to preview</div>
+      
+      <div id="frame-controls" style="display:${this.imagePreviewTab === 'frame' ? 'block' : 'none'}">
+        <div class="preview-tabs" style="margin-top:8px">
+          <button class="preview-tab ${this.frameMode === 'crop' ? 'active' : ''}" data-frame-mode="crop">Crop</button>
+          <button class="preview-tab ${this.frameMode === 'perspective' ? 'active' : ''}" data-frame-mode="perspective">Perspective</button>
+          <button class="preview-tab" id="btn-reset-framing" title="Use the whole image again">Reset</button>
+        </div>
+        ${this.buildSlider('straightenAngle', 'Straighten', -45, 45, 0.5, config.get('straightenAngle'), '°')}
+        <div class="help-text">Crop: drag to draw the crop, or drag inside it to move it. Perspective: drag the corners onto a photographed artwork's corners to square it up.</div>
+      </div>
+      
+      <div id="mask-controls" style="display:${this.imagePreviewTab === 'mask' ? 'block' : 'none'}">
+        <div class="preview-tabs" style="margin-top:8px">
+          ${[['more', 'More Detail'], ['less', 'Less Detail'], ['flat', 'Flat'], ['erase', 'Erase']].map(([brush, label]) => `
+            <button class="preview-tab ${brush === this.maskBrush ? 'active' : ''}" data-brush="${brush}">${label}</button>
+          `).join('')}
+        </div>
+        ${this.buildSlider('maskBrushSize', 'Brush Size (% of image)', 1, 25, 1, config.get('maskBrushSize'))}
+        ${this.buildSlider('maskStrength', 'Mask Strength', 1, 4, 0.25, config.get('maskStrength'))}
+        ${this.buildSlider('maskTiltAngle', 'Flat Area Tilt', -45, 45, 1, config.get('maskTiltAngle'), '°')}
+        <button class="btn btn-secondary" id="btn-clear-mask">Clear Mask</button>
+        <div class="help-text">Paint where facets should be smaller (green) or larger (orange). Flat areas (blue) become one plane at a fixed tilt. Lattice layouts ignore the detail brushes. The mask is saved with the settings.</div>
+      </div>
     `;
   }
   
   buildGeometrySection() {
     return `
+      <div class="form-group">
+        <label class="form-label">Point Layout</label>
+        <select id="pointStrategy">
+          <option value="grid" ${config.get('pointStrategy') === 'grid' ? 'selected' : ''}>Priority Grid</option>
+          <option value="poisson" ${config.get('pointStrategy') === 'poisson' ? 'selected' : ''}>Poisson Disk (Blue Noise)</option>
+          <option value="anisotropic" ${config.get('pointStrategy') === 'anisotropic' ? 'selected' : ''}>Contour-Aligned (Brushstroke)</option>
+          <option value="hex" ${config.get('pointStrategy') === 'hex' ? 'selected' : ''}>Hex / Isometric Lattice</option>
+          <option value="square" ${config.get('pointStrategy') === 'square' ? 'selected' : ''}>Square Lattice (Diagonals)</option>
+          <option value="rotated" ${config.get('pointStrategy') === 'rotated' ? 'selected' : ''}>Rotated Square Lattice</option>
+        </select>
+      </div>
+      <div class="help-text">Poisson Disk spaces facets evenly with no rows; Randomness only affects the grid. Lattices give a regular pattern where only facet angle carries the image.</div>
+      
+      ${this.buildSlider('anisotropy', 'Anisotropy', 0, 1, 0.05, config.get('anisotropy'))}
+      <div class="help-text">Contour-Aligned only: how far facets near edges stretch along hair, folds and outlines</div>
+      
+      <div class="form-group">
+        <label class="form-label">Lattice Diagonals</label>
+        <select id="latticeDiagonal">
+          <option value="alternating" ${config.get('latticeDiagonal') === 'alternating' ? 'selected' : ''}>Alternating</option>
+          <option value="brightness" ${config.get('latticeDiagonal') === 'brightness' ? 'selected' : ''}>Follow Image Tones</option>
+        </select>
+      </div>
+      ${this.buildSlider('latticeAngle', 'Lattice Angle', 0, 90, 1, config.get('latticeAngle'), '°')}
+      <div class="help-text">Diagonals apply to square lattices; the angle to the rotated lattice</div>
+      
       ${this.buildSlider('cellDensity', 'Cell Density', 20, 100, 1, config.get('cellDensity'))}
       <div class="help-text">More cells = finer detail, slower generation</div>
       
+      ${this.buildSlider('facetBudget', 'Facet Budget', 0, 50000, 500, config.get('facetBudget'))}
+      <div class="help-text">Target facet count; when set, the density is searched to hit it (0 = use Cell Density)</div>
+      <div class="help-text" id="facet-estimate">Predicted facets: load an image</div>
+      
       ${this.buildSlider('edgeSensitivity', 'Edge Detail', 0, 5, 0.1, config.get('edgeSensitivity'))}
       <div class="help-text">Add extra detail along edges</div>
       
       ${this.buildSlider('jitter', 'Randomness', 0, 1, 0.1, config.get('jitter'))}
       
+      <div class="form-group">
+        <label class="form-label">Seed</label>
+        <div class="row">
+          <input type="number" id="seed" value="${config.get('seed')}" min="0" max="4294967295" step="1">
+          <button class="btn btn-secondary" id="btn-reroll" title="Pick a new random seed">🎲 Reroll</button>
+        </div>
+      </div>
+      <div class="help-text">Same seed and settings give the same mesh</div>
+      
+      <div class="form-group">
+        <label class="form-label">Facet Shape</label>
+        <select id="facetShape">
+          <option value="triangles" ${config.get('facetShape') === 'triangles' ? 'selected' : ''}>Triangles</option>
+          <option value="voronoi" ${config.get('facetShape') === 'voronoi' ? 'selected' : ''}>Voronoi Cells (Crystalline)</option>
+        </select>
+      </div>
+      <div class="help-text">Voronoi turns each point into a flat polygon facet; edge locking is ignored and Continuous Surface needs triangles</div>
+      
+      ${this.buildSlider('relaxIterations', 'Relaxation Passes', 0, 20, 1, config.get('relaxIterations'))}
+      ${this.buildSlider('relaxWeighting', 'Relaxation Weighting', 0, 1, 0.05, config.get('relaxWeighting'))}
+      <div class="help-text">Evens out spacing to remove sliver facets; weighting keeps dark and edge areas finer</div>
+      
+      ${this.buildSlider('minAngle', 'Minimum Angle', 0, 30, 1, config.get('minAngle'), '°')}
+      ${this.buildSlider('minEdgeMM', 'Minimum Edge', 0.2, 5, 0.1, config.get('minEdgeMM'), 'mm')}
+      <div class="help-text">Adds points until no facet has a sharper corner (0 = off); the edge limit stops it at printable sizes</div>
+      
       <label class="checkbox-row">
         <input type="checkbox" id="adaptiveSizing" ${config.get('adaptiveSizing') ? 'checked' : ''}>
         Adaptive cell sizing
       </label>
       <div class="help-text">Smaller cells in dark areas</div>
+      
+      <label class="checkbox-row">
+        <input type="checkbox" id="constrainEdges" ${config.get('constrainEdges') ? 'checked' : ''}>
+        Lock edges to image contours
+      </label>
+      ${this.buildSlider('contourThreshold', 'Contour Threshold', 0.1, 0.8, 0.05, config.get('contourThreshold'))}
+      <div class="help-text">Facet edges follow traced outlines for crisp ridges</div>
     `;
   }
   
@@ -102,8 +290,12 @@ class UI {
           <option value="angled" ${config.get('reliefMethod') === 'angled' ? 'selected' : ''}>Angled Facets</option>
           <option value="hybrid" ${config.get('reliefMethod') === 'hybrid' ? 'selected' : ''}>Hybrid (Angled + Height)</option>
           <option value="heightmap" ${config.get('reliefMethod') === 'heightmap' ? 'selected' : ''}>Height Map Only</option>
+          <option value="inverse" ${config.get('reliefMethod') === 'inverse' ? 'selected' : ''}>Inverse Lighting (Exact Tones)</option>
+          <option value="dual" ${config.get('reliefMethod') === 'dual' ? 'selected' : ''}>Dual Image (Two Lights)</option>
+          <option value="continuous" ${config.get('reliefMethod') === 'continuous' ? 'selected' : ''}>Continuous Surface (No Cracks)</option>
         </select>
       </div>
+      <div class="help-text">Inverse lighting solves each facet's angle to match the image under the configured light; Dual Image shows the second image under Light B</div>
       
       ${this.buildSlider('maxTiltAngle', 'Max Tilt Angle', 10, 60, 1, config.get('maxTiltAngle'), '°')}
       <div class="help-text">Larger angle = more dramatic shadows</div>
@@ -113,6 +305,9 @@ class UI {
       
       ${this.buildSlider('heightVariation', 'Height Variation', 0, 1, 0.1, config.get('heightVariation'))}
       
+      ${this.buildSlider('regionCount', 'Region Count', 0, 1000, 10, config.get('regionCount'))}
+      <div class="help-text">Groups facets into colour regions that each share one flat plane for a low-poly mosaic look (0 = off)</div>
+      
       <div class="divider"></div>
       
       ${this.buildSlider('baseThickness', 'Base Thickness', 1, 10, 0.5, config.get('baseThickness'), 'mm')}
@@ -128,6 +323,10 @@ class UI {
       ${this.buildSlider('lightElevation', 'Light Height', 10, 90, 5, config.get('lightElevation'), '°')}
       <div class="help-text">Lower = longer shadows, more dramatic</div>
       
+      ${this.buildSlider('secondLightAzimuth', 'Light B Direction', 0, 360, 5, config.get('secondLightAzimuth'), '°')}
+      ${this.buildSlider('secondLightElevation', 'Light B Height', 10, 90, 5, config.get('secondLightElevation'), '°')}
+      <div class="help-text">Dual Image only: lights about 90° apart give the most contrast, opposite lights give near-negative images</div>
+      
       <div class="form-group">
         <label class="form-label">Preview Color</label>
         <input type="color" id="previewColor" value="${config.get('previewColor')}">
@@ -163,11 +362,33 @@ class UI {
         Lock aspect ratio
       </label>
       
+      <div class="form-group">
+        <label class="form-label">Outline Shape</label>
+        <select id="outlineShape">
+          <option value="rectangle" ${config.get('outlineShape') === 'rectangle' ? 'selected' : ''}>Rectangle</option>
+          <option value="circle" ${config.get('outlineShape') === 'circle' ? 'selected' : ''}>Circle</option>
+          <option value="ellipse" ${config.get('outlineShape') === 'ellipse' ? 'selected' : ''}>Ellipse</option>
+          <option value="hexagon" ${config.get('outlineShape') === 'hexagon' ? 'selected' : ''}>Hexagon</option>
+          <option value="rounded" ${config.get('outlineShape') === 'rounded' ? 'selected' : ''}>Rounded Rectangle</option>
+        </select>
+      </div>
+      ${this.buildSlider('cornerRadiusMM', 'Corner Radius', 1, 50, 1, config.get('cornerRadiusMM'), 'mm')}
+      <div class="help-text">Coasters and medallions: the relief is cut to this shape within Width × Height (circle and hexagon centred at their largest). An image cut-out takes precedence.</div>
+      
+      <label class="checkbox-row">
+        <input type="checkbox" id="watertightMesh" ${config.get('watertightMesh') ? 'checked' : ''}>
+        Watertight mesh
+      </label>
+      <div class="help-text">Single welded solid for slicers (off = separate prisms)</div>
+      
       <div class="divider"></div>
       
       <button class="btn btn-primary" id="btn-generate" style="font-size: 16px; padding: 14px;" disabled>
         🔄 Generate Geometry
       </button>
+      <button class="btn btn-secondary" id="btn-cancel" style="display: none; margin-top: 8px;">
+        Cancel
+      </button>
       <div class="help-text" style="text-align: center; margin-top: 8px;">
         Adjust settings above, then click to generate
       </div>
@@ -217,6 +438,14 @@ class UI {
           <span class="stats-label">Triangles</span>
           <span class="stats-value" id="stat-triangles">-</span>
         </div>
+        <div class="stats-row">
+          <span class="stats-label">Mean Aspect Ratio</span>
+          <span class="stats-value" id="stat-aspect">-</span>
+        </div>
+        <div class="stats-row">
+          <span class="stats-label">Inserted Points</span>
+          <span class="stats-value" id="stat-inserted">-</span>
+        </div>
         <div class="stats-row">
           <span class="stats-label">Dimensions</span>
           <span class="stats-value" id="stat-dimensions">-</span>
@@ -272,6 +501,7 @@ class UI {
       <button class="toolbar-btn" id="btn-fit" title="Fit to screen">Fit</button>
       <button class="toolbar-btn" id="btn-front" title="View from front">Front</button>
       <button class="toolbar-btn" id="btn-top" title="View from top">Top</button>
+      <button class="toolbar-btn" id="btn-light-toggle" title="Preview under the main light or Light B">Light A</button>
     `;
   }
   
@@ -286,56 +516,42 @@ class UI {
   }
   
   attachEventListeners() {
-    // File input
-    const dropZone = document.getElementById('drop-zone');
-    const fileInput = document.getElementById('file-input');
-    
-    if (dropZone && fileInput) {
-      dropZone.addEventListener('click', () => fileInput.click());
-      dropZone.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        dropZone.classList.add('drag-over');
-      });
-      dropZone.addEventListener('dragleave', () => {
-        dropZone.classList.remove('drag-over');
-      });
-      dropZone.addEventListener('drop', (e) => {
-        e.preventDefault();
-        dropZone.classList.remove('drag-over');
-        if (e.dataTransfer.files.length) {
-          this.handleFile(e.dataTransfer.files[0]);
-        }
-      });
-      fileInput.addEventListener('change', (e) => {
-        if (e.target.files.length) {
-          this.handleFile(e.target.files[0]);
-        }
-      });
-    }
+    // File inputs
+    this.attachDropZone('drop-zone', 'file-input', (file) => this.handleFile(file));
+    this.attachDropZone('drop-zone-b', 'file-input-b', (file) => this.handleSecondFile(file));
+    this.attachDropZone('drop-zone-depth', 'file-input-depth', (file) => this.handleDepthFile(file));
     
-    // Generate button
+    // Generate / cancel buttons
     this.addListener('btn-generate', 'click', () => {
       if (this.onGenerate) this.onGenerate();
     });
+    this.addListener('btn-cancel', 'click', () => {
+      if (this.onCancel) this.onCancel();
+    });
     
     // Sliders
     const sliders = ['contrast', 'brightness', 'gamma', 'cellDensity', 'edgeSensitivity', 'jitter', 
                      'maxTiltAngle', 'baseThickness', 'maxReliefHeight', 
-                     'lightAzimuth', 'lightElevation', 'tileOverlap', 'facetSharpness', 'heightVariation'];
+                     'lightAzimuth', 'lightElevation', 'tileOverlap', 'facetSharpness', 'heightVariation',
+                     'contourThreshold', 'secondLightAzimuth', 'secondLightElevation',
+                     'relaxIterations', 'relaxWeighting', 'latticeAngle', 'minAngle', 'minEdgeMM', 'facetBudget', 'anisotropy', 'regionCount',
+                     'blackPoint', 'whitePoint', 'claheTileSize', 'claheClipLimit', 'straightenAngle',
+                     'maskBrushSize', 'maskStrength', 'maskTiltAngle', 'silhouetteThreshold', 'silhouetteTolerance',
+                     'cornerRadiusMM', 'mixerRed', 'mixerGreen', 'mixerBlue', 'hueCenter', 'hueWidth'];
     
     sliders.forEach(id => {
       const el = document.getElementById(id);
       if (el) {
         el.addEventListener('input', (e) => {
           const val = parseFloat(e.target.value);
-          const unit = id.includes('Angle') || id.includes('Azimuth') || id.includes('Elevation') ? '°' : 
-                       id.includes('Thickness') || id.includes('Height') || id.includes('Overlap') ? 'mm' : '';
+          const unit = id.includes('Angle') || id.includes('Azimuth') || id.includes('Elevation') || id.startsWith('hue') ? '°' : 
+                       id.includes('Thickness') || id.includes('Height') || id.includes('Overlap') || id.endsWith('MM') ? 'mm' : '';
           const valueEl = document.getElementById(`value-${id}`);
           if (valueEl) valueEl.textContent = val + unit;
           config.set(id, val);
           
           // Only update preview for lighting changes
-          if ((id === 'lightAzimuth' || id === 'lightElevation') && this.onPreviewUpdate) {
+          if ((id.includes('Azimuth') || id.includes('Elevation')) && this.onPreviewUpdate) {
             this.onPreviewUpdate('lighting');
           }
         });
@@ -344,7 +560,8 @@ class UI {
     
     // Checkboxes
     const checkboxes = ['invertBrightness', 'maintainAspectRatio', 'showWireframe', 'autoRotate', 
-                        'enableTiling', 'registrationPins', 'adaptiveSizing'];
+                        'enableTiling', 'registrationPins', 'adaptiveSizing', 'watertightMesh',
+                        'constrainEdges', 'equalize', 'invertDepth'];
     checkboxes.forEach(id => {
       const el = document.getElementById(id);
       if (el) {
@@ -369,10 +586,31 @@ class UI {
       }
     });
     
-    // Select
+    // Selects
     this.addListener('reliefMethod', 'change', (e) => {
       config.set('reliefMethod', e.target.value);
     });
+    this.addListener('pointStrategy', 'change', (e) => {
+      config.set('pointStrategy', e.target.value);
+    });
+    this.addListener('latticeDiagonal', 'change', (e) => {
+      config.set('latticeDiagonal', e.target.value);
+    });
+    this.addListener('facetShape', 'change', (e) => {
+      config.set('facetShape', e.target.value);
+    });
+    this.addListener('silhouetteMode', 'change', (e) => {
+      config.set('silhouetteMode', e.target.value);
+    });
+    this.addListener('silhouetteColor', 'change', (e) => {
+      config.set('silhouetteColor', e.target.value);
+    });
+    this.addListener('outlineShape', 'change', (e) => {
+      config.set('outlineShape', e.target.value);
+    });
+    this.addListener('grayscaleMode', 'change', (e) => {
+      config.set('grayscaleMode', e.target.value);
+    });
     
     // Number inputs
     ['outputWidthMM', 'outputHeightMM', 'printerBedWidth', 'printerBedHeight'].forEach(id => {
@@ -385,6 +623,61 @@ class UI {
       }
     });
     
+    // Seed
+    this.addListener('seed', 'change', (e) => {
+      const seed = parseInt(e.target.value, 10);
+      if (Number.isFinite(seed)) config.set('seed', seed >>> 0);
+      e.target.value = config.get('seed');
+    });
+    this.addListener('btn-reroll', 'click', () => {
+      const seed = Math.floor(Math.random() * 4294967296);
+      config.set('seed', seed);
+      document.getElementById('seed').value = seed;
+    });
+    this.addListener('btn-auto-levels', 'click', () => {
+      if (this.onAutoLevels) this.onAutoLevels();
+    });
+    
+    // Image preview tabs
+    document.querySelectorAll('[data-tab]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.imagePreviewTab = button.dataset.tab;
+        document.querySelectorAll('[data-tab]').forEach(other => {
+          other.classList.toggle('active', other === button);
+        });
+        const frameControls = document.getElementById('frame-controls');
+        if (frameControls) frameControls.style.display = this.imagePreviewTab === 'frame' ? 'block' : 'none';
+        const maskControls = document.getElementById('mask-controls');
+        if (maskControls) maskControls.style.display = this.imagePreviewTab === 'mask' ? 'block' : 'none';
+        if (this.onImagePreview) this.onImagePreview();
+      });
+    });
+    document.querySelectorAll('[data-frame-mode]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.frameMode = button.dataset.frameMode;
+        document.querySelectorAll('[data-frame-mode]').forEach(other => {
+          other.classList.toggle('active', other === button);
+        });
+        if (this.onImagePreview) this.onImagePreview();
+      });
+    });
+    document.querySelectorAll('[data-brush]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.maskBrush = button.dataset.brush;
+        document.querySelectorAll('[data-brush]').forEach(other => {
+          other.classList.toggle('active', other === button);
+        });
+        if (this.onImagePreview) this.onImagePreview();
+      });
+    });
+    this.addListener('btn-clear-mask', 'click', () => {
+      config.set('detailMask', null);
+    });
+    this.addListener('btn-reset-framing', 'click', () => {
+      config.setMultiple({ perspectiveCorners: null, straightenAngle: 0, cropRect: null });
+      this.setSliderValue('straightenAngle', 0, '°');
+    });
+    
     // Color
     this.addListener('previewColor', 'change', (e) => {
       config.set('previewColor', e.target.value);
@@ -421,9 +714,98 @@ class UI {
     this.addListener('btn-top', 'click', () => {
       if (this.onPreviewUpdate) this.onPreviewUpdate('viewTop');
     });
+    this.addListener('btn-light-toggle', 'click', () => {
+      if (this.onPreviewUpdate) this.onPreviewUpdate('toggleLight');
+    });
+  }
+  
+  attachDropZone(zoneId, inputId, onFile) {
+    const dropZone = document.getElementById(zoneId);
+    const fileInput = document.getElementById(inputId);
+    if (!dropZone || !fileInput) return;
+    
+    dropZone.addEventListener('click', () => fileInput.click());
+    dropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropZone.classList.add('drag-over');
+    });
+    dropZone.addEventListener('dragleave', () => {
+      dropZone.classList.remove('drag-over');
+    });
+    dropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropZone.classList.remove('drag-over');
+      if (e.dataTransfer.files.length) {
+        onFile(e.dataTransfer.files[0]);
+      }
+    });
+    fileInput.addEventListener('change', (e) => {
+      if (e.target.files.length) {
+        onFile(e.target.files[0]);
+      }
+    });
   }
   
   handleFile(file) {
+    this.readImageFile(file, (img, dataUrl) => {
+      // Update preview
+      const thumb = document.getElementById('preview-thumb');
+      if (thumb) {
+        thumb.src = dataUrl;
+        thumb.style.display = 'block';
+      }
+      
+      // Enable generate button
+      const genBtn = document.getElementById('btn-generate');
+      if (genBtn) genBtn.disabled = false;
+      
+      if (this.onImageLoad) {
+        this.onImageLoad(img);
+      }
+    });
+  }
+  
+  // Second image for the dual-image relief; sampled over the same area as the first
+  handleSecondFile(file) {
+    this.readImageFile(file, (img, dataUrl) => {
+      const thumb = document.getElementById('preview-thumb-b');
+      if (thumb) {
+        thumb.src = dataUrl;
+        thumb.style.display = 'block';
+      }
+      
+      if (this.onSecondImageLoad) {
+        this.onSecondImageLoad(img);
+      }
+    });
+  }
+  
+  handleDepthFile(file) {
+    this.readImageFile(file, (img, dataUrl) => {
+      const thumb = document.getElementById('preview-thumb-depth');
+      if (thumb) {
+        thumb.src = dataUrl;
+        thumb.style.display = 'block';
+      }
+      
+      if (this.onDepthImageLoad) {
+        this.onDepthImageLoad(img);
+      }
+    });
+  }
+  
+  // Empty the depth map drop zone (the map belongs to the previous photo)
+  clearDepthFile() {
+    const thumb = document.getElementById('preview-thumb-depth');
+    if (thumb) {
+      thumb.removeAttribute('src');
+      thumb.style.display = 'none';
+    }
+    const input = document.getElementById('file-input-depth');
+    if (input) input.value = '';
+  }
+  
+  readImageFile(file, onLoad) {
     if (!file.type.startsWith('image/')) {
       alert('Please select an image file');
       return;
@@ -432,31 +814,7 @@ class UI {
     const reader = new FileReader();
     reader.onload = (e) => {
       const img = new Image();
-      img.onload = () => {
-        // Update preview
-        const thumb = document.getElementById('preview-thumb');
-        if (thumb) {
-          thumb.src = e.target.result;
-          thumb.style.display = 'block';
-        }
-        
-        // Update dimensions if aspect ratio locked
-        if (config.get('maintainAspectRatio')) {
-          const aspect = img.width / img.height;
-          const width = config.get('outputWidthMM');
-          config.set('outputHeightMM', Math.round(width / aspect));
-          const heightInput = document.getElementById('outputHeightMM');
-          if (heightInput) heightInput.value = config.get('outputHeightMM');
-        }
-        
-        // Enable generate button
-        const genBtn = document.getElementById('btn-generate');
-        if (genBtn) genBtn.disabled = false;
-        
-        if (this.onImageLoad) {
-          this.onImageLoad(img);
-        }
-      };
+      img.onload = () => onLoad(img, e.target.result);
       img.src = e.target.result;
     };
     reader.readAsDataURL(file);
@@ -474,15 +832,61 @@ class UI {
     ).join('');
   }
   
+  setPreviewLight(which) {
+    this.previewLight = which;
+    const btn = document.getElementById('btn-light-toggle');
+    if (btn) btn.textContent = `Light ${which}`;
+    this.updateLightInfo();
+  }
+  
   updateLightInfo() {
     if (this.lightInfo) {
       this.lightInfo.innerHTML = `
-        <div>Light: ${config.get('lightAzimuth')}° az, ${config.get('lightElevation')}° el</div>
+        <div>Light: ${config.get('lightAzimuth')}° az, ${config.get('lightElevation')}° el${this.previewLight === 'B' ? ` (showing Light B: ${config.get('secondLightAzimuth')}° az, ${config.get('secondLightElevation')}° el)` : ''}</div>
         <div>Drag to rotate • Scroll to zoom • Shift+drag to pan</div>
       `;
     }
   }
   
+  // Move a slider and its value label to a value set from code
+  setSliderValue(id, value, unit = '') {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+    const valueEl = document.getElementById(`value-${id}`);
+    if (valueEl) valueEl.textContent = value + unit;
+  }
+  
+  // Update the print height to the (framed) image's proportions when the
+  // aspect ratio is locked
+  matchAspectRatio(aspect) {
+    if (!config.get('maintainAspectRatio')) return;
+    
+    config.set('outputHeightMM', Math.round(config.get('outputWidthMM') / aspect));
+    const heightInput = document.getElementById('outputHeightMM');
+    if (heightInput) heightInput.value = config.get('outputHeightMM');
+  }
+  
+  setImagePreviewInfo(text) {
+    const el = document.getElementById('image-preview-info');
+    if (el) el.textContent = text;
+  }
+  
+  // Facet count expected from the current settings, shown before Generate
+  updateFacetEstimate({ facets, density, budget }) {
+    const el = document.getElementById('facet-estimate');
+    if (!el) return;
+    
+    // The model doesn't predict refinement's Steiner points: a budget build
+    // still lands on its count (passes are refined), at a lower density
+    if (budget > 0) {
+      const note = config.get('minAngle') > 0 ? ' (less after refinement)' : '';
+      el.textContent = `Predicted facets: ~${budget.toLocaleString()} at density ~${density.toFixed(0)}${note}`;
+    } else {
+      const note = config.get('minAngle') > 0 ? ' before refinement' : '';
+      el.textContent = `Predicted facets: ~${facets.toLocaleString()}${note}`;
+    }
+  }
+  
   updateStatusBar(stats) {
     if (this.statusBar) {
       this.statusBar.innerHTML = `
@@ -497,8 +901,19 @@ class UI {
     const triEl = document.getElementById('stat-triangles');
     const dimEl = document.getElementById('stat-dimensions');
     const genEl = document.getElementById('stat-generation');
+    const aspectEl = document.getElementById('stat-aspect');
+    const insertedEl = document.getElementById('stat-inserted');
     
     if (triEl) triEl.textContent = stats.triangles?.toLocaleString() || '-';
+    if (aspectEl) aspectEl.textContent = stats.aspectRatio ? stats.aspectRatio.toFixed(2) : '-';
+    if (insertedEl) {
+      // Refinement that hit its point limit left facets under the minimum angle
+      const text = stats.insertedPoints?.toLocaleString() ?? '-';
+      insertedEl.textContent = stats.refinementConverged === false ? `${text} (angle not reached)` : text;
+      insertedEl.title = stats.refinementConverged === false
+        ? 'Refinement hit its point limit before every facet met Min Angle; lower Min Angle or raise Minimum Edge'
+        : '';
+    }
     if (dimEl) dimEl.textContent = `${config.get('outputWidthMM')}×${config.get('outputHeightMM')}×${(config.get('baseThickness') + config.get('maxReliefHeight')).toFixed(1)}mm`;
     if (genEl) genEl.textContent = stats.generationTime ? stats.generationTime.toFixed(0) + 'ms' : '-';
     
@@ -524,6 +939,13 @@ class UI {
     const btn = document.getElementById('btn-generate');
     if (btn) btn.disabled = !enabled;
   }
+  
+  // Swap Generate for Cancel while a run is in progress
+  setGenerating(generating) {
+    this.setGenerateEnabled(!generating);
+    const cancel = document.getElementById('btn-cancel');
+    if (cancel) cancel.style.display = generating ? 'block' : 'none';
+  }
 }
 
 // Global UI instance